@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import {run} from '../src/cli.mjs'
+
+
+run(process.argv.slice(2), process.env).catch(err => {
+	console.error(`lan-tunnel: ${err.message}`)
+	process.exit(1)
+})
@@ -17,4 +17,6 @@ createProxyServer({
 		iv: '1234567890123456',
 		//cipher: 'aes-256-ctr', // default
 	},
+	// OPTIONAL: Compression of TCP tunnels clients may ask for
+	tunnelCompression: ['brotli', 'deflate'],
 })
\ No newline at end of file
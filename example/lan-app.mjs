@@ -16,7 +16,9 @@ exposeThroughProxy({
 		key: 'abcdefghijklmnopqrstuvwxyzABCDEF',
 		iv: '1234567890123456',
 		//cipher: 'aes-256-ctr', // this is the default
-	}
+	},
+	// OPTIONAL: Compression of TCP tunnels (used if the proxy allows it too)
+	tunnelCompression: 'deflate',
 })
 
 // Simple HTTP web server for example. But it works with any other protocol on top of TCP.
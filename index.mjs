@@ -1,3 +1,5 @@
 export * from './src/client.mjs'
 export * from './src/server.mjs'
-export * from './src/shared.mjs'
\ No newline at end of file
+export * from './src/shared.mjs'
+export * from './src/logger.mjs'
+export * from './src/har.mjs'
\ No newline at end of file
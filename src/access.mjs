@@ -0,0 +1,154 @@
+import net from 'net'
+import crypto from 'crypto'
+import {normalizeAddress} from './forwarded.mjs'
+
+
+const WINDOW = 60 * 1000
+
+// ['10.0.0.0/8', '192.168.1.5', 'fd00::/8'] -> net.BlockList
+export function createBlockList(list, name) {
+	const blockList = new net.BlockList
+	for (let entry of [list].flat()) {
+		let [address, bits, ...rest] = String(entry).split('/')
+		const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : undefined
+		if (family === undefined)
+			throw new Error(`${name} contains invalid address "${entry}"`)
+		if (bits === undefined) {
+			blockList.addAddress(address, family)
+		} else {
+			// Digits only. Number('') is 0, typo like '10.0.0.1/' would match every address.
+			if (!/^\d+$/.test(bits) || rest.length || Number(bits) > (family === 'ipv4' ? 32 : 128))
+				throw new Error(`${name} contains invalid CIDR range "${entry}"`)
+			blockList.addSubnet(address, Number(bits), family)
+		}
+	}
+	return blockList
+}
+
+const inBlockList = (blockList, address) => blockList.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6')
+
+// Compares hashes so that the time doesn't depend on where (or whether the length of) the strings differ.
+const hash = string => crypto.createHash('sha256').update(string).digest()
+const safeEqual = (a, b) => crypto.timingSafeEqual(hash(a), hash(b))
+
+// IP allow/deny lists, auth and per IP rate limits of requests coming to the proxy.
+// Everything is checked before the request gets to a tunnel.
+export class AccessControl {
+
+	// IP -> open connections and counts in the current window.
+	clients = new Map
+
+	constructor(options) {
+		const {allowIps, denyIps, basicAuth, bearerTokens, authRealm, maxConnectionsPerIp, connectionsPerMinute, requestsPerMinute} = options
+		if (allowIps) this.allowList = createBlockList(allowIps, 'allowIps')
+		if (denyIps)  this.denyList  = createBlockList(denyIps,  'denyIps')
+		if (basicAuth !== undefined && (typeof basicAuth !== 'object' || Array.isArray(basicAuth)))
+			throw new Error(`basicAuth has to be an object {username: 'password'}`)
+		this.basicAuth = basicAuth
+		this.bearerTokens = bearerTokens !== undefined ? [bearerTokens].flat().map(String) : undefined
+		this.authRealm = authRealm
+		this.maxConnectionsPerIp  = maxConnectionsPerIp
+		this.connectionsPerMinute = connectionsPerMinute
+		this.requestsPerMinute    = requestsPerMinute
+		this.cleanupTimer = setInterval(this.cleanup, WINDOW)
+		this.cleanupTimer.unref()
+	}
+
+	get auth() {
+		return this.basicAuth !== undefined || this.bearerTokens !== undefined
+	}
+
+	// Whether each request has to be looked at, not just the connection.
+	get checksRequests() {
+		return this.auth || this.requestsPerMinute !== undefined
+	}
+
+	getClient(address) {
+		const now = Date.now()
+		let client = this.clients.get(address)
+		if (!client) {
+			client = {connections: 0, connectionCount: 0, requestCount: 0, windowStart: now}
+			this.clients.set(address, client)
+		}
+		if (now - client.windowStart >= WINDOW) {
+			client.connectionCount = 0
+			client.requestCount = 0
+			client.windowStart = now
+		}
+		return client
+	}
+
+	// Returns reason why the connection isn't allowed, or undefined.
+	checkConnection(socket) {
+		const address = normalizeAddress(socket.remoteAddress)
+		if (!address) return 'unknown address'
+		if (this.denyList && inBlockList(this.denyList, address)) return 'address is denied'
+		if (this.allowList && !inBlockList(this.allowList, address)) return 'address is not allowed'
+		const client = this.getClient(address)
+		if (this.maxConnectionsPerIp !== undefined && client.connections >= this.maxConnectionsPerIp)
+			return 'too many connections'
+		if (this.connectionsPerMinute !== undefined && client.connectionCount >= this.connectionsPerMinute)
+			return 'connection rate limit'
+		client.connections++
+		client.connectionCount++
+		socket.once('close', () => client.connections--)
+	}
+
+	// Returns {status, reason, headers} of the response to send instead of forwarding the request, or undefined.
+	// Requests are counted even if they fail the auth, to slow down guessing.
+	checkRequest(address, authorization) {
+		address = normalizeAddress(address)
+		if (this.requestsPerMinute !== undefined) {
+			const client = this.getClient(address)
+			if (client.requestCount >= this.requestsPerMinute) {
+				const retryAfter = Math.ceil((client.windowStart + WINDOW - Date.now()) / 1000)
+				return {status: 429, reason: 'request rate limit', headers: {'Retry-After': retryAfter}}
+			}
+			client.requestCount++
+		}
+		if (this.auth && !this.isAuthorized(authorization)) {
+			const scheme = this.basicAuth !== undefined ? 'Basic' : 'Bearer'
+			const headers = {'WWW-Authenticate': `${scheme} realm="${this.authRealm}"`}
+			return {status: 401, reason: 'unauthorized', headers}
+		}
+	}
+
+	isAuthorized(authorization = '') {
+		let [scheme, credentials = ''] = authorization.trim().split(/\s+/)
+		scheme = scheme.toLowerCase()
+		if (scheme === 'basic' && this.basicAuth) {
+			let decoded = Buffer.from(credentials, 'base64').toString()
+			let index = decoded.indexOf(':')
+			if (index === -1) return false
+			let username = decoded.slice(0, index)
+			let password = this.basicAuth[username]
+			return Object.hasOwn(this.basicAuth, username)
+				&& safeEqual(String(password), decoded.slice(index + 1))
+		}
+		if (scheme === 'bearer' && this.bearerTokens)
+			return this.bearerTokens
+				.map(token => safeEqual(token, credentials))
+				.includes(true)
+		return false
+	}
+
+	cleanup = () => {
+		const now = Date.now()
+		for (let [address, client] of this.clients)
+			if (client.connections === 0 && now - client.windowStart >= WINDOW)
+				this.clients.delete(address)
+	}
+
+	close() {
+		clearInterval(this.cleanupTimer)
+	}
+
+}
+
+const ACCESS_OPTIONS = ['allowIps', 'denyIps', 'basicAuth', 'bearerTokens', 'maxConnectionsPerIp', 'connectionsPerMinute', 'requestsPerMinute']
+
+// Returns undefined if none of the access options is used.
+export function createAccessControl(options) {
+	if (ACCESS_OPTIONS.some(name => options[name] !== undefined))
+		return new AccessControl(options)
+}
@@ -0,0 +1,145 @@
+import crypto from 'crypto'
+import {normalizeAddress} from './forwarded.mjs'
+
+
+// Spreading requests between clients registered under the same service (the app running on more machines).
+// Proxy tells the clients apart by clientId from the hello and picks one of those having a tunnel ready
+// for every request. With stickySessions, requests of the same visitor keep going to the same client.
+
+export const BALANCING = {
+	ROUND_ROBIN:       'round-robin',
+	LEAST_CONNECTIONS: 'least-connections',
+	WEIGHTED:          'weighted',
+}
+
+export const STICKY = {
+	IP:     'ip',
+	COOKIE: 'cookie',
+}
+
+// Value of stickyCookie sent with the request (HTTP mode).
+export const STICKY_COOKIE = Symbol('sticky-cookie')
+
+let picks = 0
+
+// Client that gets the next request, or undefined if the list is empty.
+// Round robin takes the client that waits the longest since its last request.
+export function pickClient(clients, policy) {
+	if (clients.length === 0) return
+	let picked
+	if (policy === BALANCING.WEIGHTED) {
+		// Smooth weighted round robin (as in nginx). Heavier client gets more requests, but not all of them in a row.
+		const total = clients.reduce((sum, client) => sum + client.weight, 0)
+		for (let client of clients)
+			client.currentWeight += client.weight
+		picked = clients.reduce((a, b) => b.currentWeight > a.currentWeight ? b : a)
+		picked.currentWeight -= total
+	} else if (policy === BALANCING.LEAST_CONNECTIONS) {
+		picked = clients.reduce((a, b) => {
+			if (b.activeRequests !== a.activeRequests) return b.activeRequests < a.activeRequests ? b : a
+			return b.lastPicked < a.lastPicked ? b : a
+		})
+	} else {
+		picked = clients.reduce((a, b) => b.lastPicked < a.lastPicked ? b : a)
+	}
+	picked.lastPicked = ++picks
+	return picked
+}
+
+// Visitors get a hash of the client id, not the id itself.
+const getCookieValue = id => crypto.createHash('sha256').update(String(id)).digest('base64url').slice(0, 16)
+
+// 'a=1; b=2' -> value of the cookie with given name
+function parseCookie(header = '', name) {
+	for (let pair of header.split(';')) {
+		const index = pair.indexOf('=')
+		if (index !== -1 && pair.slice(0, index).trim() === name)
+			return pair.slice(index + 1).trim()
+	}
+}
+
+// Remembers which client served the visitor (by IP address, or by cookie set in the response).
+// Visitor goes to another client once theirs disconnects or is drained.
+export class StickySessions {
+
+	// service -> address -> {id, lastSeen}
+	sessions = new Map
+
+	constructor({stickySessions, stickyCookie, stickyTimeout, httpMode}) {
+		if (!Object.values(STICKY).includes(stickySessions))
+			throw new Error(`unknown stickySessions "${stickySessions}"`)
+		if (stickySessions === STICKY.COOKIE && !httpMode)
+			throw new Error(`stickySessions 'cookie' needs httpMode`)
+		if (stickySessions === STICKY.COOKIE && !/^[!#$%&'*+\-.^_`|~\w]+$/.test(stickyCookie))
+			throw new Error(`invalid stickyCookie "${stickyCookie}"`)
+		if (typeof stickyTimeout !== 'number' || !(stickyTimeout > 0))
+			throw new Error(`stickyTimeout has to be a positive number of milliseconds`)
+		this.mode = stickySessions
+		this.cookie = stickyCookie
+		this.timeout = stickyTimeout
+		if (this.mode === STICKY.IP) {
+			this.cleanupTimer = setInterval(this.cleanup, this.timeout)
+			this.cleanupTimer.unref()
+		}
+	}
+
+	// Client the visitor sticks to, if it's still connected and takes requests.
+	getClient(service, request) {
+		let client
+		if (this.mode === STICKY.COOKIE) {
+			const value = request[STICKY_COOKIE]
+			if (value === undefined) return
+			client = [...service.clients.values()].find(client => getCookieValue(client.id) === value)
+		} else {
+			const session = this.getSessions(service).get(normalizeAddress(request.remoteAddress))
+			if (session) client = service.clients.get(session.id)
+		}
+		if (client && client.connected && !client.draining) return client
+	}
+
+	remember(service, request, client) {
+		if (this.mode === STICKY.IP)
+			this.getSessions(service).set(normalizeAddress(request.remoteAddress), {id: client.id, lastSeen: Date.now()})
+	}
+
+	// Value of stickyCookie in the Cookie header of HTTP request.
+	readCookie(header) {
+		if (this.mode === STICKY.COOKIE) return parseCookie(header, this.cookie)
+	}
+
+	// Set-Cookie header sticking the visitor to the client that served the request, or undefined if it already does.
+	getCookieHeader(request, client) {
+		if (this.mode !== STICKY.COOKIE) return
+		const value = getCookieValue(client.id)
+		if (request[STICKY_COOKIE] !== value)
+			return `${this.cookie}=${value}; Path=/; HttpOnly; SameSite=Lax`
+	}
+
+	getSessions(service) {
+		let sessions = this.sessions.get(service)
+		if (!sessions) {
+			sessions = new Map
+			this.sessions.set(service, sessions)
+		}
+		return sessions
+	}
+
+	cleanup = () => {
+		const now = Date.now()
+		for (let sessions of this.sessions.values())
+			for (let [address, {lastSeen}] of sessions)
+				if (now - lastSeen >= this.timeout)
+					sessions.delete(address)
+	}
+
+	close() {
+		clearInterval(this.cleanupTimer)
+	}
+
+}
+
+// Returns undefined if stickySessions aren't used.
+export function createStickySessions(options) {
+	if (options.stickySessions !== undefined && options.stickySessions !== false)
+		return new StickySessions(options)
+}
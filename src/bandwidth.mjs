@@ -0,0 +1,207 @@
+import {SERVICE} from './service.mjs'
+
+
+// Bandwidth limits and transfer quotas, enforced in the pipelines between requesters and tunnels (on both sides).
+// Upload is what requesters send to the app, download is what the app sends back (i.e. the uplink of the app's network).
+
+export const UPLOAD = 'upload'
+export const DOWNLOAD = 'download'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Rate in bytes per second, up to a second worth of bytes can be sent at once.
+// Streams sharing the bucket take bytes on credit and wait until the debt is paid off.
+export class TokenBucket {
+
+	constructor(rate) {
+		this.rate = rate
+		this.tokens = rate
+		this.updatedAt = Date.now()
+	}
+
+	// Returns milliseconds to wait before sending the bytes.
+	take(bytes) {
+		const now = Date.now()
+		this.tokens = Math.min(this.rate, this.tokens + (now - this.updatedAt) * this.rate / 1000)
+		this.updatedAt = now
+		const delay = this.tokens < 0 ? -this.tokens / this.rate * 1000 : 0
+		this.tokens -= bytes
+		return delay
+	}
+
+}
+
+// Lets the data out of the readable as fast as the slowest of the buckets allows, by pausing it after each chunk
+// for as long as needed. Nothing is held back, so the end of the stream (which closes the other side) comes
+// only after everything before it went through. Backpressure propagates to the sender as usual.
+// Returns the readable to pipe further.
+export function throttle(readable, buckets, onBytes) {
+	buckets = buckets.filter(bucket => bucket)
+	if (buckets.length === 0 && !onBytes) return readable
+	const {pause, resume} = readable
+	// Waiting for the buckets, and paused by pipe while its destination is full. Either keeps the readable paused.
+	let waiting = false
+	let paused = false
+	readable.pause = () => {
+		paused = true
+		return pause.call(readable)
+	}
+	readable.resume = () => {
+		paused = false
+		return waiting ? readable : resume.call(readable)
+	}
+	readable.on('data', chunk => {
+		if (onBytes) onBytes(chunk.length)
+		const delay = Math.max(0, ...buckets.map(bucket => bucket.take(chunk.length)))
+		if (delay === 0) return
+		waiting = true
+		pause.call(readable)
+		setTimeout(() => {
+			waiting = false
+			if (!paused) resume.call(readable)
+		}, delay)
+	})
+	return readable
+}
+
+// {uploadRate, downloadRate} -> {upload, download} buckets (undefined where there's no limit).
+export function createBuckets({uploadRate, downloadRate}, name = '') {
+	return {
+		[UPLOAD]:   createBucket(uploadRate,   `${name}uploadRate`),
+		[DOWNLOAD]: createBucket(downloadRate, `${name}downloadRate`),
+	}
+}
+
+function createBucket(rate, name) {
+	if (rate === undefined) return
+	if (typeof rate !== 'number' || !(rate > 0)) throw new Error(`${name} has to be a positive number of bytes per second`)
+	return new TokenBucket(rate)
+}
+
+// Calendar periods in UTC. Usage of a period is forgotten once the next one starts.
+const PERIODS = {
+	daily: {
+		key: date => date.toISOString().slice(0, 10),
+		end: date => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) + DAY,
+	},
+	monthly: {
+		key: date => date.toISOString().slice(0, 7),
+		end: date => Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1),
+	},
+}
+
+const LIMIT_OPTIONS = ['uploadRate', 'downloadRate', 'dailyQuota', 'monthlyQuota']
+
+// Proxy side. Limits of every service (client identity) and of the whole proxy.
+// Quotas count bytes in both directions, in memory (they start over when the proxy restarts).
+export class BandwidthLimiter {
+
+	// service name -> buckets and usage
+	services = new Map
+
+	constructor(server) {
+		const {totalUploadRate, totalDownloadRate, serviceLimits = {}} = server
+		this.server = server
+		this.logger = server.logger
+		this.total = {
+			[UPLOAD]:   createBucket(totalUploadRate,   'totalUploadRate'),
+			[DOWNLOAD]: createBucket(totalDownloadRate, 'totalDownloadRate'),
+		}
+		if (typeof serviceLimits !== 'object' || serviceLimits === null)
+			throw new Error(`serviceLimits has to be an object {serviceName: {uploadRate, downloadRate, dailyQuota, monthlyQuota}}`)
+		this.defaults = pickLimits(server)
+		this.serviceLimits = serviceLimits
+		for (let [name, limits] of Object.entries(serviceLimits))
+			validateLimits({...this.defaults, ...pickLimits(limits)}, `serviceLimits.${name}.`)
+		validateLimits(this.defaults, '')
+	}
+
+	getState(service) {
+		let state = this.services.get(service.name)
+		if (!state) {
+			const limits = {...this.defaults, ...pickLimits(this.serviceLimits[service.name] || {})}
+			state = {
+				limits,
+				buckets: createBuckets(limits),
+				usage: {daily: {key: undefined, bytes: 0}, monthly: {key: undefined, bytes: 0}},
+			}
+			this.services.set(service.name, state)
+		}
+		return state
+	}
+
+	// Usage of the current periods, starting over if the period has changed.
+	getUsage(service) {
+		const {usage} = this.getState(service)
+		const now = new Date
+		for (let [period, {key}] of Object.entries(PERIODS)) {
+			if (usage[period].key === key(now)) continue
+			usage[period].key = key(now)
+			usage[period].bytes = 0
+		}
+		return usage
+	}
+
+	// Returns {status, reason, body, headers} of the response to send instead of forwarding the request, or undefined.
+	checkQuota(service) {
+		const {limits} = this.getState(service)
+		const usage = this.getUsage(service)
+		for (let period of Object.keys(PERIODS)) {
+			const quota = limits[`${period}Quota`]
+			if (quota === undefined || usage[period].bytes < quota) continue
+			const resetsAt = PERIODS[period].end(new Date)
+			const retryAfter = Math.ceil((resetsAt - Date.now()) / 1000)
+			const body = `Transfer quota exceeded. ${period[0].toUpperCase() + period.slice(1)} quota of ${quota} bytes resets at ${new Date(resetsAt).toISOString()}.\n`
+			return {status: 429, reason: `${period} quota exceeded`, body, headers: {'Retry-After': retryAfter}}
+		}
+	}
+
+	// Throttles the readable (one direction of the request) by the service's and the proxy's limits.
+	// Usage is counted even without quotas, to be shown in stats.
+	throttle = (readable, direction, service) => {
+		const {buckets} = this.getState(service)
+		return throttle(readable, [buckets[direction], this.total[direction]], bytes => this.count(service, bytes))
+	}
+
+	count(service, bytes) {
+		const {limits} = this.getState(service)
+		const usage = this.getUsage(service)
+		for (let period of Object.keys(PERIODS)) {
+			const quota = limits[`${period}Quota`]
+			const before = usage[period].bytes
+			usage[period].bytes += bytes
+			if (quota !== undefined && before < quota && usage[period].bytes >= quota)
+				this.onQuotaExceeded(service, period, quota)
+		}
+	}
+
+	// Requests in flight are cut off, new ones are answered with 429 until the period ends.
+	onQuotaExceeded(service, period, quota) {
+		this.logger.info(`${service.label} exceeded ${period} transfer quota`, {service: service.name, period, quota})
+		this.server.emit('quota-exceeded', service.name, period, quota)
+		for (let request of this.server.activeRequests)
+			if (request[SERVICE] === service) request.destroy()
+	}
+
+}
+
+const pickLimits = options => Object.fromEntries(LIMIT_OPTIONS
+	.filter(name => options[name] !== undefined)
+	.map(name => [name, options[name]]))
+
+function validateLimits(limits, prefix) {
+	createBuckets(limits, prefix)
+	for (let name of ['dailyQuota', 'monthlyQuota']) {
+		const quota = limits[name]
+		if (quota !== undefined && (typeof quota !== 'number' || !(quota > 0)))
+			throw new Error(`${prefix}${name} has to be a positive number of bytes`)
+	}
+}
+
+const BANDWIDTH_OPTIONS = ['uploadRate', 'downloadRate', 'totalUploadRate', 'totalDownloadRate', 'dailyQuota', 'monthlyQuota', 'serviceLimits']
+
+// Returns undefined if none of the bandwidth options is used.
+export function createBandwidthLimiter(options) {
+	if (BANDWIDTH_OPTIONS.some(name => options[name] !== undefined))
+		return new BandwidthLimiter(options)
+}
@@ -0,0 +1,86 @@
+import fs from 'fs'
+import tls from 'tls'
+
+
+// Key and cert change together (certbot renewal). Wait for both before reloading.
+const RELOAD_DELAY = 1000
+const WATCH_INTERVAL = 5000
+
+const isPath = value => typeof value === 'string' && !value.includes('-----BEGIN')
+
+// PEM string or Buffer, or path to the file with it.
+const readPem = value => isPath(value) ? fs.readFileSync(value) : value
+
+// Certificates of the proxy server. The default key and cert, plus certificates for other hostnames picked by TLS SNI.
+// Files given by path can be read again without restarting the server.
+export class CertificateStore {
+
+	// hostname -> tls.SecureContext
+	contexts = new Map
+	watchedPaths = []
+
+	constructor({key, cert, certificates}) {
+		this.key = key
+		this.cert = cert
+		this.certificates = certificates || {}
+		if (typeof this.certificates !== 'object')
+			throw new Error(`certificates has to be an object {hostname: {key, cert}}`)
+		this.load()
+	}
+
+	// Throws if any of the files can't be read or the certificate is invalid. Keeps the previous ones in that case.
+	load() {
+		const defaults = this.key && this.cert ? {key: readPem(this.key), cert: readPem(this.cert)} : undefined
+		const contexts = new Map
+		for (let [hostname, {key, cert} = {}] of Object.entries(this.certificates)) {
+			if (!key || !cert) throw new Error(`certificates for "${hostname}" need key and cert`)
+			contexts.set(hostname.toLowerCase(), tls.createSecureContext({key: readPem(key), cert: readPem(cert)}))
+		}
+		this.defaults = defaults
+		this.contexts = contexts
+	}
+
+	// Options for tls.createServer() and server.setSecureContext().
+	get serverOptions() {
+		return {...this.defaults, SNICallback: this.SNICallback}
+	}
+
+	// Exact hostname first, then wildcard one level up ('*.example.com'). Falls back to the default certificate.
+	SNICallback = (servername, callback) => {
+		servername = servername.toLowerCase()
+		const parent = servername.slice(servername.indexOf('.'))
+		callback(null, this.contexts.get(servername) || this.contexts.get(`*${parent}`))
+	}
+
+	get paths() {
+		const values = [this.key, this.cert]
+		for (let {key, cert} of Object.values(this.certificates))
+			values.push(key, cert)
+		return [...new Set(values.filter(isPath))]
+	}
+
+	// Calls onChange once the files stop changing. Polling follows symlinks, which certbot swaps on renewal.
+	watch(onChange) {
+		this.watchedPaths = this.paths
+		const listener = (current, previous) => {
+			if (current.mtimeMs === previous.mtimeMs) return
+			clearTimeout(this.reloadTimeout)
+			this.reloadTimeout = setTimeout(onChange, RELOAD_DELAY)
+		}
+		for (let path of this.watchedPaths)
+			fs.watchFile(path, {persistent: false, interval: WATCH_INTERVAL}, listener)
+		this.listener = listener
+	}
+
+	close() {
+		clearTimeout(this.reloadTimeout)
+		for (let path of this.watchedPaths)
+			fs.unwatchFile(path, this.listener)
+		this.watchedPaths = []
+	}
+
+}
+
+export function hasCertificates({key, cert, certificates}) {
+	return !!(key && cert) || !!certificates
+}
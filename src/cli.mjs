@@ -0,0 +1,288 @@
+import fs from 'fs'
+import path from 'path'
+import {createProxyServer} from './server.mjs'
+import {exposeThroughProxy} from './client.mjs'
+import {loadHar, replayHar} from './har.mjs'
+import defaultOptions from './options.mjs'
+
+
+const COMMANDS = {
+	server: createProxyServer,
+	client: exposeThroughProxy,
+}
+
+const ENV_PREFIX = 'LAN_TUNNEL_'
+
+// Accepted on top of everything in options.mjs.
+const EXTRA_OPTIONS = {log: undefined}
+
+// Certificates are given as paths to the files. Paths in config file are relative to the file.
+// Proxy server reads (and watches) key and cert by itself, the others are read here.
+const PATH_OPTIONS = ['key', 'cert']
+const FILE_OPTIONS = ['tunnelTls.key', 'tunnelTls.cert', 'tunnelTls.ca', 'tunnelTls.crl']
+
+// Comma separated lists.
+const LIST_OPTIONS = ['proxyHost', 'appPorts', 'allowIps', 'denyIps', 'bearerTokens', 'localForwards', 'forwardTargets', 'publicPorts', 'harRedactHeaders', 'tunnelCompression']
+
+// Options without a numeric default that take numbers (also inside serviceLimits). Digits given to other options
+// without default stay strings, i.e. --secret 123456 or --client-id 42.
+const NUMBER_OPTIONS = ['tunnelPort', 'appPorts', 'proxyProtocol', 'maxConnectionsPerIp', 'connectionsPerMinute', 'requestsPerMinute',
+	'uploadRate', 'downloadRate', 'totalUploadRate', 'totalDownloadRate', 'dailyQuota', 'monthlyQuota', 'udpPort', 'publicPort',
+	'healthCheck.interval', 'requestTimeout', 'metricsPort', 'queueTimeout', 'log']
+
+const isNumberOption = optionPath => NUMBER_OPTIONS.includes(optionPath.join('.'))
+	|| (optionPath[0] === 'serviceLimits' && NUMBER_OPTIONS.includes(optionPath[optionPath.length - 1]))
+
+const HELP = `Usage: lan-tunnel <server|client|replay> [options]
+
+  server   Run the proxy server (on the machine reachable from the internet).
+  client   Expose an app from the local network through the proxy.
+  replay   Send requests recorded in --har-file again to --proxy-host (localhost) and --proxy-port.
+
+Options:
+  -c, --config <file>   JSON or YAML file with options.
+  -h, --help            Show this help.
+  --<option> <value>    Any option from the readme, e.g. --proxy-port 80 --tunnel-port 8010.
+                        Nested options use dots: --tunnel-encryption.key abc.
+                        Booleans: --multiplex, --no-multiplex. Objects and arrays can be given as JSON.
+  --key, --cert         Paths to the certificate files. Same for --tunnel-tls.key, .cert, .ca and .crl.
+  --log <level>         0 (nothing) to 3 (debug).
+
+Options are also read from environment variables prefixed with ${ENV_PREFIX}, e.g. ${ENV_PREFIX}PROXY_PORT=80
+or ${ENV_PREFIX}TUNNEL_ENCRYPTION__KEY=abc (double underscore for nested options).
+Command line takes precedence over environment variables, which take precedence over the config file.`
+
+// 'proxy-port' -> 'proxyPort'
+const kebabToCamel = string => string.replace(/-([a-z])/g, (match, char) => char.toUpperCase())
+
+// 'TUNNEL_ENCRYPTION__KEY' -> ['tunnelEncryption', 'key']
+const envNameToPath = name => name
+	.split('__')
+	.map(part => part.toLowerCase().replace(/_([a-z])/g, (match, char) => char.toUpperCase()))
+
+// Object options without defaults. Any nested option is accepted.
+const FREE_FORM_OPTIONS = ['tunnelTls', 'basicAuth', 'requestHeaders', 'responseHeaders', 'certificates', 'serviceLimits', 'maintenanceResponse']
+
+// Checks that the option exists and returns its default value.
+function getDefault(optionPath) {
+	if (optionPath.length > 1 && FREE_FORM_OPTIONS.includes(optionPath[0])) return
+	let defaults = {...defaultOptions, ...EXTRA_OPTIONS}
+	for (let [index, key] of optionPath.entries()) {
+		if (defaults === undefined || typeof defaults !== 'object' || !(key in defaults))
+			throw new Error(`Unknown option "${optionPath.slice(0, index + 1).join('.')}"`)
+		defaults = defaults[key]
+	}
+	return defaults
+}
+
+// Values from command line and environment are strings. Converts them to the type of the default value.
+function coerce(optionPath, value, defaultValue = getDefault(optionPath)) {
+	const name = optionPath.join('.')
+	if (typeof value !== 'string') return value
+	// Only options taking objects or arrays are JSON. Others can start with bracket too, i.e. --proxy-host [::1]:8010.
+	if ((typeof defaultValue === 'object' || defaultValue === undefined) && (value.startsWith('{') || value.startsWith('['))) {
+		try {
+			return JSON.parse(value)
+		} catch {
+			if (typeof defaultValue === 'object' || FREE_FORM_OPTIONS.includes(name))
+				throw new Error(`Option "${name}" is not valid JSON: ${value}`)
+		}
+	}
+	if (LIST_OPTIONS.includes(name) && value.includes(','))
+		return value.split(',').map(item => item.trim()).filter(item => item).map(item => isNumberOption(optionPath) && /^\d+$/.test(item) ? Number(item) : item)
+	if (typeof defaultValue === 'number' || (defaultValue === undefined && isNumberOption(optionPath) && /^\d+(\.\d+)?$/.test(value))) {
+		const number = Number(value)
+		if (value === '' || Number.isNaN(number))
+			throw new Error(`Option "${name}" has to be a number, got "${value}"`)
+		return number
+	}
+	if (typeof defaultValue === 'boolean' || typeof defaultValue === 'object' || defaultValue === undefined) {
+		if (value === 'true')  return true
+		if (value === 'false') return false
+	}
+	if (typeof defaultValue === 'boolean')
+		throw new Error(`Option "${name}" has to be true or false, got "${value}"`)
+	if (typeof defaultValue === 'object')
+		throw new Error(`Option "${name}" has to be JSON object or false, got "${value}"`)
+	return value
+}
+
+function setPath(target, optionPath, value) {
+	const last = optionPath[optionPath.length - 1]
+	for (let key of optionPath.slice(0, -1)) {
+		if (typeof target[key] !== 'object' || target[key] === null) target[key] = {}
+		target = target[key]
+	}
+	target[last] = value
+}
+
+const getPath = (target, optionPath) => optionPath.reduce((value, key) => value && value[key], target)
+
+function mergeOptions(target, source) {
+	for (let [key, value] of Object.entries(source)) {
+		if (isPlainObject(value) && isPlainObject(target[key]))
+			mergeOptions(target[key], value)
+		else
+			target[key] = value
+	}
+	return target
+}
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value) && !Buffer.isBuffer(value)
+
+export function parseArgs(argv) {
+	const args = {command: undefined, config: undefined, help: false, options: {}}
+	for (let i = 0; i < argv.length; i++) {
+		let arg = argv[i]
+		if (arg === '-h' || arg === '--help') {
+			args.help = true
+		} else if (arg === '-c' || arg === '--config') {
+			args.config = argv[++i]
+			if (args.config === undefined) throw new Error(`Missing path after ${arg}`)
+		} else if (arg.startsWith('--config=')) {
+			args.config = arg.slice('--config='.length)
+		} else if (arg.startsWith('--')) {
+			let [name, value] = arg.slice(2).split(/=(.*)/s)
+			let negated = false
+			if (value === undefined && name.startsWith('no-')) {
+				name = name.slice(3)
+				negated = true
+			}
+			const optionPath = name.split('.').map(kebabToCamel)
+			const defaultValue = getDefault(optionPath)
+			if (negated) {
+				value = 'false'
+			} else if (value === undefined) {
+				// Flags without value are booleans, unless the option expects something else.
+				let next = argv[i + 1]
+				if (typeof defaultValue !== 'boolean' && next !== undefined && !next.startsWith('--'))
+					value = argv[++i]
+				else
+					value = 'true'
+			}
+			setPath(args.options, optionPath, coerce(optionPath, value, defaultValue))
+		} else if (args.command === undefined) {
+			args.command = arg
+		} else {
+			throw new Error(`Unexpected argument "${arg}"`)
+		}
+	}
+	return args
+}
+
+export function parseEnv(env) {
+	const options = {}
+	for (let [name, value] of Object.entries(env)) {
+		if (!name.startsWith(ENV_PREFIX)) continue
+		const optionPath = envNameToPath(name.slice(ENV_PREFIX.length))
+		try {
+			setPath(options, optionPath, coerce(optionPath, value))
+		} catch(err) {
+			throw new Error(`${err.message} (environment variable ${name})`)
+		}
+	}
+	return options
+}
+
+export async function loadConfigFile(file) {
+	let content
+	try {
+		content = fs.readFileSync(file, 'utf8')
+	} catch(err) {
+		throw new Error(`Couldn't read config file ${file}: ${err.message}`)
+	}
+	let options
+	try {
+		if (/\.ya?ml$/i.test(file)) {
+			const YAML = await import('yaml')
+			options = YAML.parse(content)
+		} else {
+			options = JSON.parse(content)
+		}
+	} catch(err) {
+		throw new Error(`Couldn't parse config file ${file}: ${err.message}`)
+	}
+	if (!isPlainObject(options))
+		throw new Error(`Config file ${file} has to contain an object with options`)
+	for (let key of Object.keys(options))
+		getDefault([key])
+	const certificatePaths = Object.keys(options.certificates || {})
+		.flatMap(hostname => [['certificates', hostname, 'key'], ['certificates', hostname, 'cert']])
+	for (let optionPath of [...PATH_OPTIONS, ...FILE_OPTIONS].map(name => name.split('.')).concat(certificatePaths)) {
+		const value = getPath(options, optionPath)
+		if (typeof value === 'string' && !value.includes('-----BEGIN'))
+			setPath(options, optionPath, path.resolve(path.dirname(file), value))
+	}
+	return options
+}
+
+function readFileOptions(options) {
+	for (let name of FILE_OPTIONS) {
+		const optionPath = name.split('.')
+		const value = getPath(options, optionPath)
+		if (typeof value !== 'string') continue
+		try {
+			setPath(options, optionPath, fs.readFileSync(value))
+		} catch(err) {
+			throw new Error(`Couldn't read ${name} file: ${err.message}`)
+		}
+	}
+	return options
+}
+
+// Prints how the app answers the recorded requests now, next to what it answered then.
+async function replay({harFile, proxyHost = 'localhost', proxyPort}) {
+	if (harFile === undefined) throw new Error(`replay needs --har-file`)
+	const results = await replayHar(loadHar(harFile), {host: [proxyHost].flat()[0], port: proxyPort})
+	for (let {method, url, status, recordedStatus, time, error, skipped} of results)
+		console.log(skipped
+			? `${method} ${url} skipped, ${skipped}`
+			: `${method} ${url} -> ${error || status} (recorded ${recordedStatus}) ${time}ms`)
+	return results
+}
+
+// Resolves with the server/client handle (results of replay). Closes it gracefully on SIGINT/SIGTERM.
+export async function run(argv, env = {}) {
+	const args = parseArgs(argv)
+	if (args.help || args.command === undefined) {
+		console.log(HELP)
+		return
+	}
+	const create = COMMANDS[args.command]
+	if (!create && args.command !== 'replay')
+		throw new Error(`Unknown command "${args.command}", use "server", "client" or "replay"`)
+
+	const options = {}
+	if (args.config) mergeOptions(options, await loadConfigFile(args.config))
+	mergeOptions(options, parseEnv(env))
+	mergeOptions(options, args.options)
+	readFileOptions(options)
+	if (args.command === 'replay') return replay(options)
+
+	const handle = create(options)
+	handle.on('error', err => handle.logger.error(err.message))
+
+	let closing = false
+	const shutdown = async signal => {
+		// Second signal means the user doesn't want to wait.
+		if (closing) process.exit(1)
+		closing = true
+		handle.logger.info(`Received ${signal}, shutting down`)
+		await handle.close()
+		process.exit(0)
+	}
+	process.on('SIGINT',  shutdown)
+	process.on('SIGTERM', shutdown)
+
+	// Proxy that can't listen (i.e. port in use) has to fail, so that whatever supervises it notices.
+	// Client's ready only waits for the proxy to come up, it keeps retrying.
+	if (args.command === 'server') {
+		try {
+			await handle.ready
+		} catch(err) {
+			await handle.close()
+			throw err
+		}
+	}
+	return handle
+}
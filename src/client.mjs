@@ -1,13 +1,88 @@
 import net from 'net'
+import tls from 'tls'
+import crypto from 'crypto'
 import {EventEmitter} from 'events'
-import {log, logLevel, setLogLevel, INFO, VERBOSE, removeFromArray, applyOptions, setupLongLivedSocket, killSocket, mutuallyAssuredSocketDestruction} from './shared.mjs'
-import {verifySenderTunnel, createCipher, canEncryptTunnel} from './encryption.mjs'
+import {VERBOSE, removeFromArray, applyOptions, setupLongLivedSocket, killSocket, mutuallyAssuredSocketDestruction, deferredSocketDestruction, promiseEvent, promiseTimeout} from './shared.mjs'
+import {verifySenderTunnel, createCipher, canEncryptTunnel, encryptSocket, handshakeTunnel, validateEncryptionOptions, ENCRYPTION} from './encryption.mjs'
+import {compressChannel, parseCompression} from './compression.mjs'
+import {sendHello, readMessages, encodeMessage, ENCRYPTED_CONTROL_VERSION} from './protocol.mjs'
+import {Multiplexer} from './multiplex.mjs'
+import {UdpRelay} from './udp.mjs'
+import {parseLocalForwards} from './forward.mjs'
+import {createBuckets, throttle, UPLOAD, DOWNLOAD} from './bandwidth.mjs'
+import {createHealthCheck} from './health.mjs'
+import {createLogger} from './logger.mjs'
 import defaultOptions from './options.mjs'
 
 
-class Tunnel extends EventEmitter {
+// Connection of the client to the tunnel port of the proxy: tunnels of every kind and the control connection.
+// Each opens the same way, it proves the secret, sends hello and does the encryption handshake.
+class ProxyConnection extends EventEmitter {
+
+	closed = false
+
+	constructor(options) {
+		super()
+
+		this.options           = options
+		this.secret            = options.secret
+		this.tunnelEncryption  = options.tunnelEncryption
+		this.tunnelCompression = options.tunnelCompression
+		this.challengeTimeout  = options.challengeTimeout
+		this.legacyChallenge   = options.legacyChallenge
+		this.logger            = options.logger
+		this.service           = options.service
+	}
+
+	// Connects to the proxy and calls back with its answer to the hello once the connection can be used.
+	// Connection that breaks or gets refused on the way is closed.
+	open(hello, onOpen) {
+		const remote = this.remote = connectToProxy(this.options)
+
+		onceConnected(remote, async () => {
+			try {
+				if (this.secret)
+					await verifySenderTunnel(remote, this)
+				const reply = await sendHello(remote, {service: this.service, client: this.options.clientId, ...hello}, this.challengeTimeout)
+				this.checkReply(reply)
+				this.compression = reply.compression
+				if (this.tunnelEncryption.mode === ENCRYPTION.HANDSHAKE)
+					this.session = await handshakeTunnel(remote, this.tunnelEncryption, true)
+				await onOpen(reply)
+			} catch(err) {
+				this.openFailed(err)
+			}
+		})
+
+		remote.once('error',   this.close)
+		remote.once('end',     this.close)
+		remote.once('timeout', this.close)
+		remote.once('close',   this.close)
+	}
+
+	// Throws if the connection can't be used with the proxy that answered the hello.
+	checkReply(reply) {}
+
+	openFailed(err) {
+		this.logger.error(`Couldn't open tunnel`, {error: String(err)})
+		this.emit('handshake-error', err)
+		this.close()
+	}
+
+	getPromise() {
+		return new Promise((resolve, reject) => {
+			this.once('connect', resolve)
+			this.once('close', reject)
+		})
+	}
+
+}
+
+class Tunnel extends ProxyConnection {
 
 	verified = false
+	// Whether the proxy already sent request through this tunnel.
+	busy = false
 
 	get connecting() {
 		return this.remote.readyState === 'opening'
@@ -23,42 +98,21 @@ class Tunnel extends EventEmitter {
 	}
 
 	constructor(options) {
-		super()
+		super(options)
 
-		this.secret           = options.secret
-		this.tunnelEncryption = options.tunnelEncryption
-		this.challengeTimeout = options.challengeTimeout
+		this.buckets = options.buckets
 
-		let {appHost, appPort, proxyHost, tunnelPort} = options
+		let {appHost, appPort} = options
 
-		const remote = this.remote = net.connect({
-			host: proxyHost,
-			port: tunnelPort
-		})
+		this.open({weight: options.weight, port: options.publicPort, token: options.portToken, compression: this.tunnelCompression}, this.acceptTunnel)
 
 		const local = this.local = net.connect({
 			host: appHost,
 			port: appPort
 		})
 
-		remote.once('connect', async () => {
-			try {
-				if (this.secret)
-					await verifySenderTunnel(this.remote, this)
-				await this.acceptTunnel()
-			} catch(err) {
-				console.error(`Couldn't open tunnel:`, err)
-				this.close()
-			}
-		})
-
 		local.once('connect', this.tryEmitConnect)
 
-		remote.once('error',   this.close)
-		remote.once('end',     this.close)
-		remote.once('timeout', this.close)
-		remote.once('close',   this.close)
-
 		local.once('error',   this.close)
 		local.once('end',     this.close)
 		local.once('timeout', this.close)
@@ -79,148 +133,817 @@ class Tunnel extends EventEmitter {
 		this.tryEmitConnect()
 	}
 
-	getPromise() {
-		return new Promise((resolve, reject) => {
-			this.once('connect', resolve)
-			this.once('close', reject)
-		})
-	}
-
 	close = () => {
 		killSocket(this.remote)
 		killSocket(this.local)
+		if (this.closed) return
+		this.closed = true
 		this.emit('close')
 	}
 
 	pipeSockets = () => {
 		let {local, remote} = this
 
-		mutuallyAssuredSocketDestruction(local, remote)
+		remote.once('data', () => {
+			this.busy = true
+			this.emit('request')
+		})
 
-		if (canEncryptTunnel(this.tunnelEncryption)) {
+		if (this.compression) {
+			// Compressed (and possibly encrypted) tunnel
+			closeWithBothSockets(this)
+			deferredSocketDestruction(local, remote)
+			const channel = layerTunnel(this)
+			throttle(channel.readable, [this.buckets[UPLOAD]])
+				.pipe(local)            // Forward the request to the app
+			throttle(local, [this.buckets[DOWNLOAD]])
+				.pipe(channel.writable) // Forward response from the app through tunnel back to requester
+		} else if (canEncryptTunnel(this.tunnelEncryption)) {
 			// Encrypted tunnel
-			const {cipher, decipher} = createCipher(this.tunnelEncryption)
-			//if (logLevel === VERBOSE)
-			//	logIncomingSocket(decipher)
-			remote
-				.pipe(decipher) // Decrypt remote request from tunnel
-				.pipe(local)    // Forward the request to be handled by the app
-				.pipe(cipher)   // Encrypt response from the app
-				.pipe(remote)   // Forward the encrypted response be served by the proxy
+			mutuallyAssuredSocketDestruction(local, remote)
+			const {cipher, decipher} = createCipher(this.tunnelEncryption, this.session)
+			// Tampered data can't be decrypted. Drop the connection.
+			decipher.once('error', this.close)
+			throttle(remote.pipe(decipher), [this.buckets[UPLOAD]]) // Decrypt remote request from tunnel
+				.pipe(local)  // Forward the request to be handled by the app
+			throttle(local, [this.buckets[DOWNLOAD]])
+				.pipe(cipher) // Encrypt response from the app
+				.pipe(remote) // Forward the encrypted response be served by the proxy
 		} else {
 			// Raw tunnel
-			if (logLevel === VERBOSE)
-				logIncomingSocket(remote)
-			remote
+			mutuallyAssuredSocketDestruction(local, remote)
+			if (this.logger.level === VERBOSE)
+				logIncomingSocket(remote, this.logger)
+			throttle(remote, [this.buckets[UPLOAD]])
 				.pipe(local)  // Forward the request to the app
+			throttle(local, [this.buckets[DOWNLOAD]])
 				.pipe(remote) // Forward response from the app through tunnel back to requester
 		}
 	}
 
 }
 
-const logIncomingSocket = socket => {
+// Single long-lived connection to the proxy, carrying each request as a separate logical stream.
+// Connections to the app are opened on demand, one per stream.
+class MultiplexedTunnel extends ProxyConnection {
+
+	verified = false
+
+	get connected() {
+		return this.remote.readyState === 'open'
+			&& !this.remote.writableEnded
+			&& this.verified
+	}
+
+	get busy() {
+		return !!this.multiplexer && this.multiplexer.streamCount > 0
+	}
+
+	constructor(options) {
+		super(options)
+
+		this.buckets  = options.buckets
+		this.appHost  = options.appHost
+		this.appPort  = options.appPort
+		this.appPorts = [options.appPorts || []].flat()
+
+		this.open({weight: options.weight, port: options.publicPort, token: options.portToken, multiplex: true, compression: this.tunnelCompression}, this.acceptTunnel)
+	}
+
+	acceptTunnel = () => {
+		this.verified = true
+		setupLongLivedSocket(this.remote)
+		const channel = layerTunnel(this)
+		this.multiplexer = new Multiplexer(this.remote, {...channel, initiator: true, logger: this.logger})
+		this.multiplexer.on('stream', this.onStream)
+		this.multiplexer.once('close', this.close)
+		this.emit('connect')
+	}
+
+	onStream = stream => {
+		// Proxy can ask for another port of the app (HTTP mode routes), but only those explicitly allowed.
+		const {appPort = this.appPort} = stream.meta
+		if (appPort !== this.appPort && !this.appPorts.includes(appPort)) {
+			this.logger.info(`Proxy requested app port which is not in appPorts`, {appPort})
+			return stream.destroy()
+		}
+		const local = net.connect({
+			host: this.appHost,
+			port: appPort
+		})
+		local.once('error', err => this.logger.verbose('Failed to connect stream to local (app)', {error: err.message}))
+		mutuallyAssuredSocketDestruction(local, stream)
+		this.emit('request')
+		stream.once('close', () => {
+			if (!this.busy) this.emit('idle')
+		})
+		if (this.logger.level === VERBOSE)
+			logIncomingSocket(stream, this.logger)
+		throttle(stream, [this.buckets[UPLOAD]])
+			.pipe(local)  // Forward the request to the app
+		throttle(local, [this.buckets[DOWNLOAD]])
+			.pipe(stream) // Forward response from the app through tunnel back to requester
+	}
+
+	close = () => {
+		if (this.closed) return
+		this.closed = true
+		if (this.multiplexer) this.multiplexer.close()
+		killSocket(this.remote)
+		this.emit('close')
+	}
+
+}
+
+// Single long-lived connection to the proxy, carrying datagrams of all UDP sessions (see udp.mjs).
+class UdpTunnel extends ProxyConnection {
+
+	verified = false
+	// Datagrams don't need the tunnel for themselves, it's never taken by a request.
+	busy = false
+
+	get connected() {
+		return this.remote.readyState === 'open'
+			&& !this.remote.writableEnded
+			&& this.verified
+	}
+
+	constructor(options) {
+		super(options)
+		this.open({weight: options.weight, udp: true, compression: this.tunnelCompression}, this.acceptTunnel)
+	}
+
+	openFailed(err) {
+		this.logger.error(`Couldn't open UDP tunnel`, {error: String(err)})
+		this.emit('handshake-error', err)
+		this.close()
+	}
+
+	acceptTunnel = () => {
+		this.verified = true
+		setupLongLivedSocket(this.remote)
+		this.relay = new UdpRelay(this.remote, layerTunnel(this), this.options)
+		this.emit('connect')
+	}
+
+	close = () => {
+		if (this.closed) return
+		this.closed = true
+		if (this.relay) this.relay.close()
+		killSocket(this.remote)
+		this.emit('close')
+	}
+
+}
+
+// Connection to a local port of the client (localForwards), carried through its own tunnel to a target next to the proxy.
+// Opened the other way around than the rest of tunnels: the client side has the requester, the proxy connects to the target.
+class ForwardTunnel extends ProxyConnection {
+
+	constructor(options, {host, port}, local) {
+		super(options)
+
+		this.target = {host, port}
+		this.local = local
+		// Whatever the requester sends waits until the tunnel is ready.
+		local.pause()
+
+		this.open({forward: this.target, compression: this.tunnelCompression}, () => {
+			if (this.closed) return
+			setupLongLivedSocket(this.remote)
+			this.pipeSockets()
+		})
+
+		local.once('error',   this.close)
+		local.once('end',     this.close)
+		local.once('close',   this.close)
+	}
+
+	openFailed(err) {
+		const {host, port} = this.target
+		this.logger.info(`Couldn't forward connection`, {host, port, error: String(err)})
+		this.close()
+	}
+
+	pipeSockets() {
+		let {local, remote} = this
+		if (this.compression) {
+			closeWithBothSockets(this)
+			deferredSocketDestruction(local, remote)
+			const channel = layerTunnel(this)
+			local
+				.pipe(channel.writable) // Forward what the requester sends through tunnel to the proxy
+			channel.readable
+				.pipe(local)            // Forward the target's response back to requester
+		} else if (canEncryptTunnel(this.tunnelEncryption)) {
+			mutuallyAssuredSocketDestruction(local, remote)
+			const {cipher, decipher} = createCipher(this.tunnelEncryption, this.session)
+			// Tampered data can't be decrypted. Drop the connection.
+			decipher.once('error', this.close)
+			local
+				.pipe(cipher)   // Encrypt what the requester sends
+				.pipe(remote)   // Forward it through tunnel to the proxy
+				.pipe(decipher) // Decrypt the target's response
+				.pipe(local)    // Forward the response back to requester
+		} else {
+			mutuallyAssuredSocketDestruction(local, remote)
+			local
+				.pipe(remote) // Forward what the requester sends through tunnel to the proxy
+				.pipe(local)  // Forward the target's response back to requester
+		}
+	}
+
+	close = () => {
+		killSocket(this.remote)
+		killSocket(this.local)
+		if (this.closed) return
+		this.closed = true
+		this.emit('close')
+	}
+
+}
+
+// Long-lived connection next to the tunnels. Proxy reports demand for tunnels and asks to drain through it.
+// Client sends heartbeats, the proxy's demand reports (every second) are its heartbeats.
+// Messages are encrypted like the tunnels, so nobody on the way can forge them.
+class ControlConnection extends ProxyConnection {
+
+	connected = false
+
+	constructor(options) {
+		super(options)
+
+		this.heartbeatInterval = options.heartbeatInterval
+
+		// Proxy opens the public port (if asked for) before accepting, and tells which one it is.
+		// Its token lets the tunnels join it, and the client keep it when reconnecting.
+		const {weight, publicPort, portToken} = options
+		this.open({weight, port: publicPort, token: portToken, control: true}, this.acceptConnection)
+	}
+
+	// Old proxy would take the encrypted messages for garbage.
+	checkReply({version}) {
+		if (canEncryptTunnel(this.tunnelEncryption) && !(version >= ENCRYPTED_CONTROL_VERSION))
+			throw `proxy speaks protocol version ${version}, control connection can't be encrypted`
+	}
+
+	openFailed(err) {
+		this.logger.error(`Couldn't open control connection`, {error: String(err)})
+		this.emit('handshake-error', err)
+		this.close()
+	}
+
+	acceptConnection = ({port, token}) => {
+		const {remote} = this
+		this.port = port
+		this.token = token
+		const channel = layerTunnel(this)
+		this.writable = channel.writable || remote
+		setupLongLivedSocket(remote)
+		this.lastReceived = Date.now()
+		readMessages(channel.readable || remote, message => {
+			this.lastReceived = Date.now()
+			this.emit('message', message)
+		})
+		this.heartbeatTimer = setInterval(this.heartbeat, this.heartbeatInterval)
+		this.connected = true
+		this.emit('connect')
+	}
+
+	send(message) {
+		if (!this.closed && this.writable) this.writable.write(encodeMessage(message))
+	}
+
+	heartbeat = () => {
+		if (Date.now() - this.lastReceived > this.heartbeatInterval * HEARTBEAT_MISSES) {
+			this.logger.info('Proxy stopped responding on control connection')
+			this.emit('heartbeat-timeout')
+			return this.close()
+		}
+		this.send({type: 'heartbeat'})
+	}
+
+	close = () => {
+		clearInterval(this.heartbeatTimer)
+		killSocket(this.remote)
+		if (this.closed) return
+		this.closed = true
+		this.emit('close')
+	}
+
+}
+
+// Plain TCP connection to the tunnel port of the proxy, or TLS if tunnelTls is set.
+function connectToProxy({endpoint, tunnelTls}) {
+	if (!tunnelTls) return net.connect(endpoint)
+	const {key, cert, ca, servername} = tunnelTls
+	return tls.connect({...endpoint, key, cert, ca, servername})
+}
+
+// TLS socket can't be used until the handshake is done and the proxy's certificate verified.
+// With TLS 1.3 client finishes the handshake before the proxy checks client certificate. The proxy sends
+// session ticket only after it accepted the certificate, so refused clients don't think they're connected.
+function onceConnected(socket, callback) {
+	if (!(socket instanceof tls.TLSSocket))
+		return socket.once('connect', callback)
+	let session = false
+	socket.once('session', () => session = true)
+	socket.once('secureConnect', () => {
+		if (session || socket.getProtocol() !== 'TLSv1.3') callback()
+		// Writing from within the 'session' handler stalls the socket.
+		else socket.once('session', () => setImmediate(callback))
+	})
+}
+
+// Encryption and compression layered over the whole tunnel connection (compressed data is encrypted).
+// Returns {readable, writable} to be used instead of the remote socket, or {} if there's neither.
+function layerTunnel({remote, tunnelEncryption, session, compression}) {
+	let channel = canEncryptTunnel(tunnelEncryption) ? encryptSocket(remote, tunnelEncryption, session) : {}
+	if (compression)
+		channel = compressChannel(remote, channel, compression)
+	return channel
+}
+
+// Compressed tunnel isn't closed as soon as either of its sockets ends, deferredSocketDestruction passes the end on
+// once compression catches up. The tunnel closes with the last of the sockets.
+function closeWithBothSockets({local, remote, close}) {
+	for (let socket of [local, remote]) {
+		socket.removeListener('end', close)
+		socket.removeListener('close', close)
+		socket.once('close', () => {
+			if (local.closed && remote.closed) close()
+		})
+	}
+}
+
+const logIncomingSocket = (socket, logger) => {
 	socket.once('data', buffer => {
 		let string = buffer.slice(0, 100).toString()
 		let firstLine = string.slice(0, string.indexOf('\n'))
 		let httpIndex = firstLine.indexOf(' HTTP/')
 		if (httpIndex !== -1)
-			log(VERBOSE, firstLine.slice(0, httpIndex))
+			logger.verbose(firstLine.slice(0, httpIndex))
 		else
-			log(VERBOSE, 'UNKNOWN REQUEST', string)
+			logger.verbose('UNKNOWN REQUEST', {data: string})
 	})
-	//socket.once('end', () => log(VERBOSE, 'end'))
 }
 
+// Control connection is closed after this many heartbeat intervals without a message from the proxy.
+const HEARTBEAT_MISSES = 3
 
+// Idle tunnels are kept to cover this many seconds of demand, while replacements for consumed tunnels are opening.
+const DEMAND_HEADROOM = 2
 
-class ProxyClient {
+class ProxyClient extends EventEmitter {
 
 	openTunnels = []
+	connected = false
+	closing = false
+	control = undefined
+	// Proxy asked to close idle tunnels and not open new ones (it's shutting down).
+	draining = false
+	// App is down (see healthCheck). Only the control connection is open, tunnels are opened once the app is back up.
+	waitingForApp = false
+	udpTunnel = undefined
+	// Servers listening on local ports of localForwards and connections they carry.
+	forwardServers = []
+	forwardTunnels = new Set
+	endpointIndex = 0
+	reconnectAttempts = 0
 
 	constructor(options) {
+		super()
 		this.processOptions(options)
+		this.ready = promiseEvent(this, 'connected').then(() => this)
+		// Shared by all clients of a group.
+		this.health = options.health || createHealthCheck(this)
+		if (this.health) this.health.on('change', this.onAppHealth)
+		this.startLocalForwards()
 		this.tryOpenTunnels()
 	}
 
 	processOptions(options) {
-		setLogLevel(options.log)
 		applyOptions(this, defaultOptions, options)
+		this.logger = createLogger(this)
 		if (!this.appHost)    throw new Error(`appHost is undefined`)
 		if (!this.appPort)    throw new Error(`appPort is undefined`)
 		if (!this.proxyHost)  throw new Error(`proxyHost is undefined`)
-		if (!this.tunnelPort) throw new Error(`tunnelPort is undefined`)
+		this.endpoints = parseEndpoints(this.proxyHost, this.tunnelPort)
+		if (!['failover', 'active-active'].includes(this.proxyPolicy))
+			throw new Error(`unknown proxyPolicy "${this.proxyPolicy}"`)
+		if (!['tcp', 'udp', 'both'].includes(this.protocol))
+			throw new Error(`unknown protocol "${this.protocol}"`)
+		validateEncryptionOptions(this.tunnelEncryption)
+		parseCompression(this.tunnelCompression)
+		this.forwards = parseLocalForwards(this.localForwards)
+		if (this.minTunnels > this.maxTunnels) throw new Error(`minTunnels cannot be larger than maxTunnels`)
+		if (this.clientId === undefined) this.clientId = crypto.randomUUID()
+		if (typeof this.weight !== 'number' || !(this.weight > 0)) throw new Error(`weight has to be a positive number`)
+		// Shared by all tunnels of the client (and by all clients of a group).
+		this.buckets = options.buckets || createBuckets(this)
+		if (this.publicPort !== undefined) {
+			if (!Number.isInteger(this.publicPort) || this.publicPort < 0 || this.publicPort > 65535)
+				throw new Error(`publicPort has to be a port number or 0`)
+			if (this.protocol !== 'tcp') throw new Error(`publicPort can only be used with protocol 'tcp'`)
+		}
+		this.poolTarget = this.clampPoolSize(this.tunnelSocketsPoolSize)
+	}
+
+	clampPoolSize(size) {
+		return Math.min(this.maxTunnels, Math.max(this.minTunnels, size))
 	}
 
 	tryOpenTunnels = async () => {
-		log(INFO, 'Trying to open tunnels')
+		if (this.closing) return
+		this.draining = false
+		// Tunnels join the public port by clientId, it has to be open before them.
+		if (this.publicPort !== undefined && !await this.requestPublicPort()) return this.scheduleReconnect()
+		if (this.health) {
+			await this.health.ready
+			if (this.closing) return
+			if (this.appDown) return this.waitForApp()
+		}
+		this.logger.info('Trying to open tunnels')
 		let firstTunnel = this.createTunnel()
-		let localFailCb = () => console.error('Failed to connect tunnel to local (app)')
-		let remoteFailCb = () => console.error('Failed to connect tunnel to remote (proxy)')
-		firstTunnel.local.on('error', localFailCb)
+		let localFailCb = err => this.logger.error('Failed to connect tunnel to local (app)', {error: err.message})
+		let remoteFailCb = err => this.logger.error('Failed to connect tunnel to remote (proxy)', {error: err.message})
+		if (firstTunnel.local) firstTunnel.local.on('error', localFailCb)
 		firstTunnel.remote.on('error', remoteFailCb)
 		try {
 			await firstTunnel.getPromise()
-			log(INFO, 'First tunnel opened successfully')
+			this.logger.info('First tunnel opened successfully')
+			this.reconnectAttempts = 0
+			this.setConnected(true)
 			// Sucessfully connected to both local and remote servers, go ahead creating all other tunnels.
 			this.fillTunnels()
+			this.openControlConnection()
+			if (this.protocol === 'both') this.openUdpTunnel()
 		} catch(err) {
 			// Failed to connect. Either remote or local is probably down. Retry later.
-			log(INFO, 'Unable to open tunnels')
-			log(VERBOSE, 'error', err)
+			this.logger.info('Unable to open tunnels')
+			this.logger.verbose('error', {error: err})
 			// NOTE: scheduling retry is handled by 'end' handler.
 		}
-		firstTunnel.local.removeListener('error', localFailCb)
+		if (firstTunnel.local) firstTunnel.local.removeListener('error', localFailCb)
 		firstTunnel.remote.removeListener('error', remoteFailCb)
 	}
 
+	// Proxy currently used. Failover policy moves to the next one when tunnels can't be opened.
+	get endpoint() {
+		return this.endpoints[this.endpointIndex]
+	}
+
+	// With multiple proxies the next one is tried right away. Once all of them failed,
+	// waits reconnectTimeout, doubled with every round up to maxReconnectTimeout.
 	scheduleReconnect() {
 		clearTimeout(this.timeout)
-		this.timeout = setTimeout(this.tryOpenTunnels, this.reconnectTimeout)
+		const {endpoints} = this
+		const attempt = this.reconnectAttempts++
+		if (endpoints.length > 1) {
+			this.endpointIndex = (this.endpointIndex + 1) % endpoints.length
+			const {host, port} = this.endpoint
+			this.logger.info(`Switching to proxy ${host}:${port}`, {host, port})
+			this.emit('endpoint', this.endpoint)
+		}
+		const round = Math.floor(attempt / endpoints.length)
+		const delay = (attempt + 1) % endpoints.length === 0 ? this.getBackoffDelay(round) : 0
+		if (delay) this.logger.info(`Reconnecting in ${(delay / 1000).toFixed(1)}s`, {delay})
+		this.timeout = setTimeout(this.tryOpenTunnels, delay)
+	}
+
+	// Exponential backoff with jitter, so that many clients don't all reconnect at the same moment.
+	getBackoffDelay(round) {
+		const delay = Math.min(this.maxReconnectTimeout, this.reconnectTimeout * 2 ** round)
+		return Math.round(delay * (0.5 + Math.random() * 0.5))
 	}
 
-	fillTunnelsTimeout = undefined
-	onTunnelClose() {
-		if (this.fillTunnelsTimeout === undefined)
-			this.fillTunnelsTimeout = setTimeout(this.onTunnelCloseDebounced, 300)
+	setConnected(connected) {
+		if (this.connected === connected) return
+		this.connected = connected
+		this.emit(connected ? 'connected' : 'disconnected')
 	}
 
-	onTunnelCloseDebounced = () => {
-		this.fillTunnelsTimeout = undefined
-		if (this.openTunnels.length === 0) {
+	emitError(err) {
+		// Unhandled 'error' event would crash the process.
+		if (this.listenerCount('error') > 0)
+			this.emit('error', err)
+	}
+
+	onTunnelClose(tunnel) {
+		if (this.closing) {
+			if (this.openTunnels.length === 0) this.emit('drained')
+			return
+		}
+		if (this.openTunnels.length === 0 && this.appDown) {
+			this.logger.info('All tunnels are closed, app is down')
+			this.setConnected(false)
+			if (this.udpTunnel) this.udpTunnel.close()
+			this.waitForApp()
+		} else if (this.openTunnels.length === 0) {
 			// This was the last/only tunnel. We're likely in the boot phase where one failed
 			// tunnel means something is wrong and there's no reason to retry right away.
-			log(INFO, 'All tunnels are down')
+			this.logger.info('All tunnels are down')
+			this.setConnected(false)
+			if (this.control) this.control.close()
+			if (this.udpTunnel) this.udpTunnel.close()
 			this.scheduleReconnect()
-		} else {
-			// This was not the only tunnel. Probably closed after fulfilling request.
+		} else if (tunnel.opened) {
+			// This was not the only tunnel. Probably closed after fulfilling request or dropped by proxy.
+			// Tunnels that failed to open aren't replaced, to not spin in a loop while the app is down.
 			this.fillTunnels()
 		}
 	}
 
+	// Busy tunnels are serving requests, only idle ones count towards the pool size.
+	get idleTunnelCount() {
+		return this.openTunnels.filter(tunnel => !tunnel.busy).length
+	}
+
 	fillTunnels = () => {
-		const {openTunnels, tunnelSocketsPoolSize} = this
-		if (openTunnels.length < tunnelSocketsPoolSize) {
-			log(VERBOSE, `${openTunnels.length.toString().padStart(2, '0')} / ${tunnelSocketsPoolSize} - Filling empty spots after closing tunnels.`)
-			while (openTunnels.length < tunnelSocketsPoolSize)
+		if (!this.connected || this.closing || this.draining || this.appDown) return
+		// Multiplexed tunnel handles all requests by itself, UDP tunnel all datagrams.
+		const single = this.multiplex || this.protocol === 'udp'
+		const target = single ? 1 : this.poolTarget
+		const current = single ? this.openTunnels.length : this.idleTunnelCount
+		if (current < target) {
+			this.logger.verbose(`${current.toString().padStart(2, '0')} / ${target} - Filling empty spots in the pool.`, {current, target})
+			for (let i = current; i < target; i++)
 				this.createTunnel()
-			log(VERBOSE, `${openTunnels.length.toString().padStart(2, '0')} / ${tunnelSocketsPoolSize} - Tunnels filled.`)
+			this.logger.verbose(`${target.toString().padStart(2, '0')} / ${target} - Tunnels filled.`, {target})
+		}
+	}
+
+	// Resolves with false if the proxy refused to open the port.
+	async requestPublicPort() {
+		if (this.control && !this.control.closed) this.control.close()
+		const control = this.openControlConnection()
+		const opened = await Promise.race([promiseEvent(control, 'connect').then(() => true), promiseEvent(control, 'close').then(() => false)])
+		if (!opened || this.closing) return false
+		this.portToken = control.token
+		if (this.assignedPort !== control.port) {
+			this.assignedPort = control.port
+			this.logger.info(`Proxy opened public port ${control.port}`, {port: control.port})
+			this.emit('public-port', control.port)
 		}
+		return true
+	}
+
+	openControlConnection() {
+		if (this.control && !this.control.closed) return this.control
+		const control = this.control = new ControlConnection(this)
+		control.on('handshake-error', err => this.emitError(new Error(`Couldn't open control connection: ${err}`)))
+		control.on('message', message => {
+			if (message.type === 'demand') this.onDemand(message)
+			if (message.type === 'drain') this.onDrain(message)
+		})
+		control.on('heartbeat-timeout', this.closeIdleTunnels)
+		control.on('connect', this.reportAppHealth)
+		control.once('close', () => {
+			// Pool keeps its last size without the control connection. Try again later if the proxy is still up
+			// (or if it's the only connection while the app is down).
+			if (this.closing || !(this.connected || this.waitingForApp)) return
+			// Proxy closes the public port with the control connection. Tunnels are reopened once the busy ones are done.
+			if (this.publicPort !== undefined) {
+				this.draining = true
+				return this.closeIdleTunnels()
+			}
+			clearTimeout(this.controlTimeout)
+			this.controlTimeout = setTimeout(() => this.openControlConnection(), this.reconnectTimeout)
+		})
+		return control
+	}
+
+	// UDP tunnel next to the TCP ones (protocol 'both'). Reopened like the control connection.
+	openUdpTunnel() {
+		if (this.udpTunnel && !this.udpTunnel.closed) return
+		const tunnel = this.udpTunnel = new UdpTunnel(this)
+		tunnel.once('connect', () => this.logger.info('UDP tunnel opened'))
+		tunnel.on('handshake-error', err => this.emitError(new Error(`Couldn't open UDP tunnel: ${err}`)))
+		tunnel.once('close', () => {
+			if (this.closing || !this.connected) return
+			clearTimeout(this.udpTimeout)
+			this.udpTimeout = setTimeout(() => this.openUdpTunnel(), this.reconnectTimeout)
+		})
+	}
+
+	// Local ports are open regardless of whether the proxy is reachable. Connections made while it's not just fail.
+	startLocalForwards() {
+		for (let forward of this.forwards) {
+			const {localHost, localPort, host, port} = forward
+			const server = net.createServer(socket => {
+				this.logger.verbose(`Forwarding connection`, {localPort, host, port})
+				const tunnel = new ForwardTunnel(this, forward, socket)
+				this.forwardTunnels.add(tunnel)
+				tunnel.once('close', () => this.forwardTunnels.delete(tunnel))
+			})
+			server.on('listening', () => this.logger.info(`Forwarding local port ${localPort} to ${host}:${port} at the proxy`))
+			server.on('error', err => {
+				this.logger.error(`Local port error`, {localPort, error: err.message})
+				this.emitError(err)
+			})
+			server.listen(localPort, localHost)
+			this.forwardServers.push(server)
+		}
+	}
+
+	// Proxy is going away. Tunnels serving requests finish, then the client reconnects as if the proxy went down
+	// (to the next proxy right away, if there are more).
+	onDrain({reason}) {
+		if (this.draining) return
+		this.logger.info('Proxy asked to drain', {reason})
+		this.draining = true
+		this.emit('drain', reason)
+		this.closeIdleTunnels()
+	}
+
+	get appDown() {
+		return !!this.health && this.health.healthy === false
+	}
+
+	// The proxy learns the app is down through the control connection and serves maintenanceResponse meanwhile.
+	waitForApp() {
+		if (!this.waitingForApp) this.logger.info('Waiting for the app to come back up')
+		this.waitingForApp = true
+		this.openControlConnection()
+	}
+
+	onAppHealth = (healthy, reason) => {
+		this.emit(healthy ? 'app-up' : 'app-down', reason)
+		this.reportAppHealth()
+		if (this.closing) return
+		if (!healthy) {
+			this.closeIdleTunnels()
+			// Tunnels may have failed before the check noticed. No point in reconnecting until the app is back up.
+			if (this.openTunnels.length === 0) {
+				clearTimeout(this.timeout)
+				this.waitForApp()
+			}
+			return
+		}
+		if (this.waitingForApp) {
+			this.waitingForApp = false
+			this.reconnectAttempts = 0
+			clearTimeout(this.timeout)
+			this.tryOpenTunnels()
+		} else {
+			this.fillTunnels()
+		}
+	}
+
+	reportAppHealth = () => {
+		if (!this.health || this.health.healthy === undefined) return
+		if (!this.control || !this.control.connected || this.control.closed) return
+		const {healthy, reason} = this.health
+		this.control.send({type: 'health', healthy, reason})
+	}
+
+	closeIdleTunnels = () => {
+		for (let tunnel of [...this.openTunnels])
+			if (!tunnel.busy) tunnel.close()
+	}
+
+	// Proxy reported how many requests are waiting and how fast the pool is being drained.
+	// Multiplexed and UDP tunnels don't have a pool.
+	onDemand({queued = 0, drainRate = 0}) {
+		if (this.multiplex || this.protocol === 'udp') return
+		const target = this.clampPoolSize(queued + Math.ceil(drainRate * DEMAND_HEADROOM))
+		if (target !== this.poolTarget)
+			this.logger.verbose(`Pool size ${this.poolTarget} -> ${target}`, {queued, drainRate})
+		this.poolTarget = target
+		this.fillTunnels()
+		const excess = this.idleTunnelCount - target
+		if (excess > 0)
+			this.control.send({type: 'release', count: excess})
 	}
 
 	createTunnel() {
-		let tunnel = new Tunnel(this)
+		let tunnel
+		if (this.protocol === 'udp')
+			tunnel = new UdpTunnel(this)
+		else
+			tunnel = this.multiplex ? new MultiplexedTunnel(this) : new Tunnel(this)
 		this.openTunnels.push(tunnel)
+		tunnel.once('connect', () => {
+			tunnel.opened = true
+			this.emit('tunnel-open')
+		})
+		tunnel.on('request', () => {
+			this.emit('request')
+			// Replace the tunnel right away, it won't be available for other requests.
+			this.fillTunnels()
+		})
+		tunnel.on('handshake-error', err => this.emitError(new Error(`Couldn't open tunnel: ${err}`)))
+		// Multiplexed tunnel can be closed only after it's done with all requests.
+		tunnel.on('idle', () => {
+			if (this.closing || this.draining) tunnel.close()
+		})
 		tunnel.once('close', () => {
 			// Cleanup once the tunnel closes
 			removeFromArray(this.openTunnels, tunnel)
-			this.onTunnelClose()
+			if (tunnel.verified) this.emit('tunnel-close')
+			this.onTunnelClose(tunnel)
 		})
 		return tunnel
 	}
 
+	// Stops reconnecting, closes idle tunnels and lets the ones serving requests finish (up to closeTimeout).
+	close() {
+		if (this.closePromise) return this.closePromise
+		this.closing = true
+		this.logger.info('Closing tunnels')
+		clearTimeout(this.timeout)
+		clearTimeout(this.controlTimeout)
+		clearTimeout(this.udpTimeout)
+		if (this.health) this.health.close()
+		if (this.control) this.control.close()
+		if (this.udpTunnel) this.udpTunnel.close()
+		for (let server of this.forwardServers)
+			server.close()
+		this.closeIdleTunnels()
+		const drained = this.openTunnels.length === 0 ? Promise.resolve() : promiseEvent(this, 'drained')
+		return this.closePromise = Promise.race([drained, promiseTimeout(this.closeTimeout)]).then(() => {
+			for (let tunnel of [...this.openTunnels])
+				tunnel.close()
+			for (let tunnel of [...this.forwardTunnels])
+				tunnel.close()
+			this.setConnected(false)
+			this.logger.info('Tunnels closed')
+			this.emit('close')
+		})
+	}
+
+}
+
+// Active-active policy: separate client (with its own pool of tunnels) for every proxy,
+// so that the app is reachable through any of them.
+class ProxyClientGroup extends EventEmitter {
+
+	constructor(options, endpoints) {
+		super()
+		this.logger = createLogger(options)
+		// Rate limits apply to the app's traffic through all proxies together.
+		const buckets = createBuckets(options)
+		// The app is checked once and its health reported to all proxies.
+		const health = createHealthCheck({...applyOptions({}, defaultOptions, options), logger: this.logger})
+		if (health) health.on('change', (healthy, reason) => this.emit(healthy ? 'app-up' : 'app-down', reason))
+		this.clients = endpoints.map((endpoint, i) => {
+			// Local port can only be opened once. Forwarded connections go through the first proxy.
+			const localForwards = i === 0 ? options.localForwards : undefined
+			const client = new ProxyClient({...options, proxyHost: [endpoint], localForwards, buckets, health})
+			for (let event of ['tunnel-open', 'tunnel-close', 'request'])
+				client.on(event, () => this.emit(event, endpoint))
+			client.on('public-port', port => this.emit('public-port', port, endpoint))
+			client.on('error', err => {
+				// Unhandled 'error' event would crash the process.
+				if (this.listenerCount('error') > 0)
+					this.emit('error', err, endpoint)
+			})
+			client.on('connected', this.onClientConnectionChange)
+			client.on('disconnected', this.onClientConnectionChange)
+			return client
+		})
+		this.ready = Promise.race(this.clients.map(client => client.ready)).then(() => this)
+	}
+
+	connected = false
+
+	// Connected as long as at least one of the proxies is.
+	onClientConnectionChange = () => {
+		const connected = this.clients.some(client => client.connected)
+		if (connected === this.connected) return
+		this.connected = connected
+		this.emit(connected ? 'connected' : 'disconnected')
+	}
+
+	close() {
+		return Promise.all(this.clients.map(client => client.close()))
+			.then(() => this.emit('close'))
+	}
+
+}
+
+// proxyHost can be a hostname, 'hostname:port', {host, port} or an array of them. tunnelPort is the default port.
+function parseEndpoints(proxyHost, tunnelPort) {
+	return [proxyHost].flat().map(endpoint => {
+		let host, port
+		if (typeof endpoint === 'object') {
+			({host, port = tunnelPort} = endpoint)
+		} else {
+			endpoint = String(endpoint)
+			// '[::1]:8010', 'example.com:8010', or just host (IPv6 address without brackets can't have port)
+			let [, match, matchPort] = /^\[(.+)\](?::(\d+))?$/.exec(endpoint) || /^([^:]+)(?::(\d+))?$/.exec(endpoint) || [, endpoint]
+			host = match
+			port = matchPort !== undefined ? Number(matchPort) : tunnelPort
+		}
+		if (!host) throw new Error(`proxyHost is undefined`)
+		if (!port) throw new Error(`tunnelPort is undefined`)
+		return {host, port}
+	})
 }
 
 export function exposeThroughProxy(options) {
-	new ProxyClient(options)
+	const {proxyHost, tunnelPort, proxyPolicy} = options
+	if (proxyPolicy === 'active-active' && Array.isArray(proxyHost) && proxyHost.length > 1)
+		return new ProxyClientGroup(options, parseEndpoints(proxyHost, tunnelPort))
+	return new ProxyClient(options)
 }
@@ -0,0 +1,60 @@
+import zlib from 'zlib'
+
+
+// Compression of the tunnel link. Client lists the algorithms it wants in the hello, the proxy picks the first one
+// it allows too and answers with it in the accepted message. Compressed data is encrypted (if the tunnel is).
+// Every write is flushed right away, so small messages (i.e. websocket frames) aren't held back waiting for more data.
+
+export const COMPRESSION = {
+	DEFLATE: 'deflate',
+	BROTLI:  'brotli',
+}
+
+const {Z_SYNC_FLUSH, BROTLI_OPERATION_FLUSH, BROTLI_PARAM_QUALITY, BROTLI_PARAM_LGWIN} = zlib.constants
+
+// Brotli's defaults (quality 11, 4MB window) are meant for static files, far too slow and memory hungry
+// for live traffic of many tunnels.
+const BROTLI_PARAMS = {
+	[BROTLI_PARAM_QUALITY]: 5,
+	[BROTLI_PARAM_LGWIN]: 18,
+}
+
+export function createCompression(algorithm) {
+	if (algorithm === COMPRESSION.BROTLI) {
+		return {
+			compress: zlib.createBrotliCompress({flush: BROTLI_OPERATION_FLUSH, params: BROTLI_PARAMS}),
+			decompress: zlib.createBrotliDecompress({flush: BROTLI_OPERATION_FLUSH}),
+		}
+	}
+	return {
+		compress: zlib.createDeflateRaw({flush: Z_SYNC_FLUSH}),
+		decompress: zlib.createInflateRaw({flush: Z_SYNC_FLUSH}),
+	}
+}
+
+// Layers compression over the socket, or over the cipher and decipher already layered over it (see encryptSocket).
+// zlib works asynchronously, sockets piped through it have to be closed with deferredSocketDestruction.
+export function compressChannel(socket, {readable = socket, writable = socket} = {}, algorithm) {
+	const {compress, decompress} = createCompression(algorithm)
+	// Corrupted data can't be decompressed. Drop the connection.
+	decompress.once('error', () => socket.destroy())
+	compress.pipe(writable)
+	return {
+		readable: readable.pipe(decompress),
+		writable: compress,
+	}
+}
+
+// Option value (single algorithm or list in order of preference) -> list of algorithms.
+export function parseCompression(value) {
+	const algorithms = [value || []].flat()
+	for (let algorithm of algorithms)
+		if (!Object.values(COMPRESSION).includes(algorithm))
+			throw new Error(`unknown tunnelCompression "${algorithm}"`)
+	return algorithms
+}
+
+// Proxy side. First of the algorithms asked for by the client that is allowed, or undefined (uncompressed tunnel).
+export function pickCompression(allowed, requested) {
+	return [requested || []].flat().find(algorithm => allowed.includes(algorithm))
+}
@@ -1,25 +1,248 @@
 import crypto from 'crypto'
-import {log, logSocket, logLevel, INFO, VERBOSE, setLogLevel} from './shared.mjs'
+import {Transform} from 'stream'
+import {readMessage, writeMessage, readBytes} from './protocol.mjs'
+import {socketFields} from './logger.mjs'
 
 
-export function createCipher({cipher, key, iv}) {
+export const ENCRYPTION = {
+	// Every tunnel is encrypted with the same key and iv from options.
+	STATIC:    'static',
+	// Every tunnel negotiates its own keys. Records are authenticated.
+	HANDSHAKE: 'handshake',
+}
+
+// Session is the result of handshakeTunnel() and is required in HANDSHAKE mode.
+export function createCipher({mode, cipher, key, iv}, session) {
+	if (mode === ENCRYPTION.HANDSHAKE) {
+		return {
+			cipher: new RecordSealer(session.aead, session.sealKey),
+			decipher: new RecordOpener(session.aead, session.openKey),
+		}
+	}
 	return {
 		cipher: crypto.createCipheriv(cipher, key, iv),
 		decipher: crypto.createDecipheriv(cipher, key, iv),
 	}
 }
 
-export function canEncryptTunnel({cipher, key, iv}) {
+// Layers the cipher over the whole socket (as opposed to single request piped through it).
+// Used by multiplexed tunnels whose streams all share one connection.
+export function encryptSocket(socket, options, session) {
+	const {cipher, decipher} = createCipher(options, session)
+	decipher.once('error', () => socket.destroy())
+	cipher.pipe(socket)
+	return {
+		readable: socket.pipe(decipher),
+		writable: cipher,
+	}
+}
+
+export function canEncryptTunnel({mode, cipher, key, iv}) {
+	if (mode === ENCRYPTION.HANDSHAKE)
+		return !!key
 	return !!cipher && !!key && !!iv
 }
 
+export function validateEncryptionOptions({mode, key}) {
+	if (!Object.values(ENCRYPTION).includes(mode)) throw new Error(`unknown tunnelEncryption.mode "${mode}"`)
+	if (mode === ENCRYPTION.HANDSHAKE && !key) throw new Error(`tunnelEncryption.key is required in handshake mode`)
+}
+
+// --------------------- PER-TUNNEL HANDSHAKE --------------------
+
+const HKDF_INFO = 'lan-tunnel handshake'
+const KEY_SIZE = 32
+
+// Ephemeral X25519 key exchange. Shared key from options is mixed into the derived keys and both sides
+// prove they know it with confirmation MACs, so man in the middle without the key can't complete the handshake.
+// Initiator is the client (the side that opened the connection).
+export async function handshakeTunnel(socket, {key, aead}, initiator) {
+	const {publicKey, privateKey} = crypto.generateKeyPairSync('x25519')
+	const ownPublic = publicKey.export({type: 'spki', format: 'der'})
+	await writeMessage(socket, {publicKey: ownPublic.toString('base64')})
+	const peerMessage = await readMessage(socket)
+	const peerPublic = Buffer.from(String(peerMessage.publicKey), 'base64')
+
+	let shared
+	try {
+		shared = crypto.diffieHellman({
+			privateKey,
+			publicKey: crypto.createPublicKey({key: peerPublic, type: 'spki', format: 'der'}),
+		})
+	} catch {
+		throw 'invalid public key'
+	}
+
+	const [clientPublic, serverPublic] = initiator ? [ownPublic, peerPublic] : [peerPublic, ownPublic]
+	const info = Buffer.concat([Buffer.from(HKDF_INFO), clientPublic, serverPublic])
+	const material = Buffer.from(crypto.hkdfSync('sha256', shared, Buffer.from(key), info, KEY_SIZE * 3))
+	const clientKey  = material.subarray(0, KEY_SIZE)
+	const serverKey  = material.subarray(KEY_SIZE, KEY_SIZE * 2)
+	const confirmKey = material.subarray(KEY_SIZE * 2)
+
+	const confirm = role => crypto.createHmac('sha256', confirmKey).update(role).digest()
+	const [ownRole, peerRole] = initiator ? ['client', 'server'] : ['server', 'client']
+	await writeMessage(socket, {confirm: confirm(ownRole).toString('base64')})
+	const peerConfirm = Buffer.from(String((await readMessage(socket)).confirm), 'base64')
+	const expected = confirm(peerRole)
+	if (peerConfirm.length !== expected.length || !crypto.timingSafeEqual(peerConfirm, expected))
+		throw 'handshake failed (mismatched key)'
+
+	return {
+		aead,
+		sealKey: initiator ? clientKey : serverKey,
+		openKey: initiator ? serverKey : clientKey,
+	}
+}
+
+// Encrypted records: [4 bytes - UInt32BE length of the rest][ciphertext][16 bytes - auth tag].
+// Nonce is a counter, keys are unique per tunnel and direction, so the nonce is never reused.
+
+const RECORD_HEADER_SIZE = 4
+const MAX_RECORD_SIZE = 16 * 1024
+const TAG_SIZE = 16
+
+const createNonce = counter => {
+	let nonce = Buffer.alloc(12)
+	nonce.writeBigUInt64BE(counter, 4)
+	return nonce
+}
+
+class RecordSealer extends Transform {
+
+	counter = 0n
+
+	constructor(aead, key) {
+		super()
+		this.aead = aead
+		this.key = key
+	}
+
+	_transform(chunk, encoding, callback) {
+		for (let offset = 0; offset < chunk.length; offset += MAX_RECORD_SIZE)
+			this.push(this.seal(chunk.subarray(offset, offset + MAX_RECORD_SIZE)))
+		callback()
+	}
+
+	seal(plaintext) {
+		const header = Buffer.alloc(RECORD_HEADER_SIZE)
+		header.writeUInt32BE(plaintext.length + TAG_SIZE)
+		const cipher = crypto.createCipheriv(this.aead, this.key, createNonce(this.counter++), {authTagLength: TAG_SIZE})
+		cipher.setAAD(header)
+		return Buffer.concat([header, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()])
+	}
+
+}
+
+class RecordOpener extends Transform {
+
+	counter = 0n
+	buffer = Buffer.alloc(0)
+
+	constructor(aead, key) {
+		super()
+		this.aead = aead
+		this.key = key
+	}
+
+	_transform(chunk, encoding, callback) {
+		this.buffer = Buffer.concat([this.buffer, chunk])
+		while (this.buffer.length >= RECORD_HEADER_SIZE) {
+			const length = this.buffer.readUInt32BE(0)
+			if (length < TAG_SIZE || length > MAX_RECORD_SIZE + TAG_SIZE)
+				return callback(new Error('Invalid tunnel record'))
+			if (this.buffer.length < RECORD_HEADER_SIZE + length) break
+			const header     = this.buffer.subarray(0, RECORD_HEADER_SIZE)
+			const ciphertext = this.buffer.subarray(RECORD_HEADER_SIZE, RECORD_HEADER_SIZE + length - TAG_SIZE)
+			const tag        = this.buffer.subarray(RECORD_HEADER_SIZE + length - TAG_SIZE, RECORD_HEADER_SIZE + length)
+			this.buffer = this.buffer.subarray(RECORD_HEADER_SIZE + length)
+			try {
+				const decipher = crypto.createDecipheriv(this.aead, this.key, createNonce(this.counter++), {authTagLength: TAG_SIZE})
+				decipher.setAAD(header)
+				decipher.setAuthTag(tag)
+				this.push(Buffer.concat([decipher.update(ciphertext), decipher.final()]))
+			} catch {
+				// Tampered, reordered or replayed record.
+				return callback(new Error('Tunnel record failed authentication'))
+			}
+		}
+		callback()
+	}
+
+}
+
 export const CHALLENGE = {
 	EMPTY:     0,
 	VERIFIED:  1,
 	INCORRECT: 2,
 }
 
-export function verifyReceiverTunnel(socket, {secret, challengeTimeout}) {
+// Challenge-response: proxy sends random nonce, client answers with HMAC of it keyed by the secret.
+// The secret never travels through the network and an answer is useless for any other (future) nonce.
+// Plaintext mode (client sends the secret itself) is only used with legacyChallenge option.
+
+const NONCE_SIZE = 32
+const HMAC_SIZE = 32
+
+const signNonce = (secret, nonce) => crypto.createHmac('sha256', secret).update('lan-tunnel challenge').update(nonce).digest()
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b)
+
+export function verifyReceiverTunnel(socket, options) {
+	return options.legacyChallenge
+		? verifyReceiverTunnelPlaintext(socket, options)
+		: verifyReceiverTunnelHmac(socket, options)
+}
+
+export function verifySenderTunnel(socket, options) {
+	return options.legacyChallenge
+		? verifySenderTunnelPlaintext(socket, options)
+		: verifySenderTunnelHmac(socket, options)
+}
+
+async function verifyReceiverTunnelHmac(socket, {secret, challengeTimeout, logger}) {
+	socket.setTimeout(challengeTimeout)
+	const nonce = crypto.randomBytes(NONCE_SIZE)
+	socket.write(nonce)
+	let response
+	try {
+		response = await readBytes(socket, HMAC_SIZE)
+	} catch(err) {
+		logger.info('challenge timed out, closing tunnel', socketFields(socket))
+		throw err
+	}
+	if (!safeEqual(response, signNonce(secret, nonce))) {
+		logger.info(`Tunnel rejected: incorrect secret`, socketFields(socket))
+		await writeResult(socket, CHALLENGE.INCORRECT)
+		throw 'incorrect secret'
+	}
+	logger.socket(socket, `Tunnel verified`)
+	await writeResult(socket, CHALLENGE.VERIFIED)
+}
+
+async function verifySenderTunnelHmac(socket, {secret, challengeTimeout, logger}) {
+	socket.setTimeout(challengeTimeout)
+	let nonce
+	try {
+		nonce = await readBytes(socket, NONCE_SIZE)
+	} catch(err) {
+		logger.info('challenge timed out, closing tunnel', socketFields(socket))
+		throw err
+	}
+	socket.write(signNonce(secret, nonce))
+	let [accepted] = await readBytes(socket, 1)
+	if (accepted !== CHALLENGE.VERIFIED) throw challengeFailure(accepted)
+}
+
+const challengeFailure = result => {
+	if (result === CHALLENGE.INCORRECT) return 'incorrect secret'
+	if (result === CHALLENGE.EMPTY) return 'no secret'
+	return 'rejected'
+}
+
+const writeResult = (socket, result) => new Promise(resolve => socket.write(Buffer.from([result]), resolve))
+
+function verifyReceiverTunnelPlaintext(socket, {secret, challengeTimeout, logger}) {
 	return new Promise((resolve, reject) => {
 		socket.setTimeout(challengeTimeout)
 		const onReadable = () => {
@@ -28,20 +251,20 @@ export function verifyReceiverTunnel(socket, {secret, challengeTimeout}) {
 			let challenge = socket.read(secret.length)
 			// may be undefined
 			if (!challenge) {
-				log(INFO, `Tunnel rejected: no secret`)
+				logger.info(`Tunnel rejected: no secret`, socketFields(socket))
 				socket.write(Buffer.from([CHALLENGE.EMPTY]), () => reject('no secret'))
-			} else if (challenge.toString() !== secret) {
-				log(INFO, `Tunnel rejected: incorrect secret`)
+			} else if (!safeEqual(challenge, Buffer.from(secret))) {
+				logger.info(`Tunnel rejected: incorrect secret`, socketFields(socket))
 				socket.write(Buffer.from([CHALLENGE.INCORRECT]), () => reject('incorrect secret'))
 			} else {
-				logSocket(socket, `Tunnel verified`)
+				logger.socket(socket, `Tunnel verified`)
 				socket.write(Buffer.from([CHALLENGE.VERIFIED]), resolve)
 			}
 		}
 		const onTimeout = () => {
 			socket.removeListener('readable', onReadable)
 			socket.removeListener('timeout', onTimeout)
-			log(INFO, 'challenge timed out, closing tunnel')
+			logger.info('challenge timed out, closing tunnel', socketFields(socket))
 			reject('timed out')
 		}
 		socket.once('readable', onReadable)
@@ -49,7 +272,7 @@ export function verifyReceiverTunnel(socket, {secret, challengeTimeout}) {
 	})
 }
 
-export function verifySenderTunnel(socket, {secret, challengeTimeout}) {
+function verifySenderTunnelPlaintext(socket, {secret, challengeTimeout, logger}) {
 	return new Promise((resolve, reject) => {
 		socket.setTimeout(challengeTimeout)
 		socket.write(secret)
@@ -60,12 +283,12 @@ export function verifySenderTunnel(socket, {secret, challengeTimeout}) {
 			if (accepted === CHALLENGE.VERIFIED)
 				resolve()
 			else
-				reject()
+				reject(challengeFailure(accepted))
 		}
 		const onTimeout = () => {
 			socket.removeListener('readable', onReadable)
 			socket.removeListener('timeout', onTimeout)
-			log(INFO, 'challenge timed out, closing tunnel')
+			logger.info('challenge timed out, closing tunnel', socketFields(socket))
 			reject()
 		}
 		socket.once('readable', onReadable)
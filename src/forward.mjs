@@ -0,0 +1,59 @@
+// Reverse (local) port forwarding, like 'ssh -L'. Client listens on a local port and carries connections to it
+// through the tunnel port to host:port reachable from the proxy machine. Proxy only connects to allowed targets.
+
+// '[::1]:5432', 'db.internal:5432' -> {host, port}
+const HOST_PORT = /^(\[.+\]|[^:]+):(\d+)$/
+
+const stripBrackets = host => host.startsWith('[') ? host.slice(1, -1) : host
+
+function validatePort(port, name, entry) {
+	if (!Number.isInteger(port) || port < 1 || port > 65535)
+		throw new Error(`${name} contains invalid port in "${entry}"`)
+}
+
+// 'host:port' or {host, port}
+function parseTarget(entry, name) {
+	let host, port
+	if (typeof entry === 'object' && entry !== null) {
+		({host, port} = entry)
+	} else {
+		let match = HOST_PORT.exec(String(entry))
+		if (!match) throw new Error(`${name} entries have to be "host:port", got "${entry}"`)
+		host = stripBrackets(match[1])
+		port = Number(match[2])
+	}
+	if (!host) throw new Error(`${name} contains entry without host`)
+	validatePort(port, name, JSON.stringify(entry))
+	return {host: String(host).toLowerCase(), port}
+}
+
+// Client option localForwards. Each entry is either 'localPort:host:port', 'localHost:localPort:host:port'
+// or {localPort, localHost, host, port}. Listens on localhost unless said otherwise.
+export function parseLocalForwards(list) {
+	return [list || []].flat().map(entry => {
+		let localHost = '127.0.0.1', localPort, target
+		if (typeof entry === 'object' && entry !== null) {
+			({localHost = localHost, localPort} = entry)
+			target = parseTarget(entry, 'localForwards')
+		} else {
+			let match = /^(?:(\[.+\]|[^:]+):)?(\d+):(.+)$/.exec(String(entry))
+			if (!match) throw new Error(`localForwards entries have to be "localPort:host:port", got "${entry}"`)
+			if (match[1] !== undefined) localHost = stripBrackets(match[1])
+			localPort = Number(match[2])
+			target = parseTarget(match[3], 'localForwards')
+		}
+		validatePort(localPort, 'localForwards', JSON.stringify(entry))
+		return {localHost, localPort, ...target}
+	})
+}
+
+// Server option forwardTargets. List of 'host:port' or {host, port} the clients may connect to.
+export function parseForwardTargets(list) {
+	return [list || []].flat().map(entry => parseTarget(entry, 'forwardTargets'))
+}
+
+export function isForwardAllowed(targets, {host, port} = {}) {
+	if (typeof host !== 'string') return false
+	host = host.toLowerCase()
+	return targets.some(target => target.host === host && target.port === port)
+}
@@ -0,0 +1,263 @@
+import net from 'net'
+import {Transform} from 'stream'
+import {parseHttpHead, serializeHttpHead, getHeader, HEAD_END, HttpStreamParser} from './http.mjs'
+
+
+// --------------------- PROXY PROTOCOL --------------------
+
+// https://www.haproxy.org/download/2.8/doc/proxy-protocol.txt
+const V2_SIGNATURE = Buffer.from('0d0a0d0a000d0a515549540a', 'hex')
+const V2_PROXY = 0x21 // version 2, command PROXY
+const V2_LOCAL = 0x20 // version 2, command LOCAL (addresses unknown)
+const V2_TCP4  = 0x11
+const V2_TCP6  = 0x21
+
+// '::ffff:1.2.3.4' -> '1.2.3.4'
+export function normalizeAddress(address) {
+	if (address && address.startsWith('::ffff:') && net.isIPv4(address.slice(7)))
+		return address.slice(7)
+	return address
+}
+
+// Header announcing the original addresses of the request. Sent through the tunnel ahead of the request data.
+export function createProxyHeader(request, version) {
+	let source = normalizeAddress(request.remoteAddress)
+	let destination = normalizeAddress(request.localAddress)
+	let {remotePort, localPort} = request
+	let ipv4 = net.isIPv4(source) && net.isIPv4(destination)
+	let ipv6 = !ipv4 && net.isIP(source) && net.isIP(destination)
+	if (ipv6) {
+		source = toIPv6(source)
+		destination = toIPv6(destination)
+	}
+	if (version === 1) {
+		if (!ipv4 && !ipv6) return Buffer.from('PROXY UNKNOWN\r\n')
+		let family = ipv4 ? 'TCP4' : 'TCP6'
+		return Buffer.from(`PROXY ${family} ${source} ${destination} ${remotePort} ${localPort}\r\n`)
+	}
+	if (!ipv4 && !ipv6)
+		return Buffer.concat([V2_SIGNATURE, Buffer.from([V2_LOCAL, 0, 0, 0])])
+	let addresses = Buffer.concat([
+		ipToBuffer(source),
+		ipToBuffer(destination),
+		Buffer.from([remotePort >> 8, remotePort & 0xff, localPort >> 8, localPort & 0xff]),
+	])
+	let header = Buffer.alloc(4)
+	header.writeUInt8(V2_PROXY, 0)
+	header.writeUInt8(ipv4 ? V2_TCP4 : V2_TCP6, 1)
+	header.writeUInt16BE(addresses.length, 2)
+	return Buffer.concat([V2_SIGNATURE, header, addresses])
+}
+
+const toIPv6 = address => net.isIPv4(address) ? `::ffff:${address}` : address
+
+function ipToBuffer(address) {
+	if (net.isIPv4(address))
+		return Buffer.from(address.split('.').map(Number))
+	// Strip zone index (fe80::1%eth0) and expand embedded IPv4 (::ffff:1.2.3.4) into two groups.
+	address = address.split('%')[0]
+	let ipv4 = address.match(/(\d+\.\d+\.\d+\.\d+)$/)
+	if (ipv4) {
+		let [a, b, c, d] = ipv4[1].split('.').map(Number)
+		address = address.slice(0, -ipv4[1].length) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16)
+	}
+	let [left, right] = address.split('::')
+	let leftGroups  = left  ? left.split(':')  : []
+	let rightGroups = right ? right.split(':') : []
+	let missing = right === undefined ? 0 : 8 - leftGroups.length - rightGroups.length
+	let groups = [...leftGroups, ...Array(missing).fill('0'), ...rightGroups]
+	let buffer = Buffer.alloc(16)
+	groups.forEach((group, i) => buffer.writeUInt16BE(parseInt(group, 16), i * 2))
+	return buffer
+}
+
+// --------------------- X-FORWARDED-* HEADERS --------------------
+
+const FORWARDED_HEADERS = ['x-forwarded-for', 'x-forwarded-proto', 'x-forwarded-host']
+const MAX_HEAD_SIZE = 16 * 1024
+const MAX_LINE_SIZE = 4 * 1024
+const CRLF = '\r\n'
+const EMPTY = Buffer.alloc(0)
+
+// Replaces X-Forwarded-* headers (list of [name, value]) with ones describing the requester.
+export function setForwardedHeaders(headers, address, proto) {
+	let host = getHeader({headers}, 'host')
+	headers = headers.filter(([name]) => !FORWARDED_HEADERS.includes(name.toLowerCase()))
+	if (address) headers.push(['X-Forwarded-For', address])
+	headers.push(['X-Forwarded-Proto', proto])
+	if (host) headers.push(['X-Forwarded-Host', host])
+	return headers
+}
+
+const STATE = {
+	HEAD: 0,
+	BODY: 1,
+	CHUNK_SIZE: 2,
+	CHUNK_DATA: 3,
+	TRAILERS: 4,
+	// Upgraded connection (websocket) or not HTTP at all. Nothing to rewrite anymore.
+	PASSTHROUGH: 5,
+}
+
+// Adds X-Forwarded-For, X-Forwarded-Proto and X-Forwarded-Host to every request of the connection (keep-alive included).
+// Follows Content-Length and chunked bodies to find where the next request's head starts.
+// Headers sent by the requester itself can't be trusted and are replaced.
+// Request asking for upgrade (websocket, CONNECT) only switches to passthrough once the app agrees (101, or 2xx
+// to CONNECT, see watchResponses()). Until then the data after it waits, the app may refuse and read the next request.
+export class ForwardedHeaders extends Transform {
+
+	buffer = EMPTY
+	state = STATE.HEAD
+	// Bytes left until the end of body or chunk.
+	remaining = 0
+	// Requests waiting for response, in order.
+	pending = []
+	// Request asking for upgrade, waiting for response.
+	upgrade = undefined
+	// Callback of _transform() (or _flush()) held while the data waits for the upgrade.
+	callback = undefined
+
+	constructor(request) {
+		super()
+		this.address = normalizeAddress(request.remoteAddress)
+		this.proto = request.encrypted ? 'https' : 'http'
+	}
+
+	_transform(chunk, encoding, callback) {
+		this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk
+		this.callback = callback
+		this.process()
+	}
+
+	_flush(callback) {
+		if (this.upgrade && this.buffer.length) return this.callback = () => this._flush(callback)
+		if (this.buffer.length) this.push(this.buffer)
+		this.buffer = EMPTY
+		callback()
+	}
+
+	// Not taking more data while some waits for the upgrade keeps the backpressure.
+	process() {
+		try {
+			while (this.buffer.length && this.step()) {}
+		} catch(err) {
+			return this.done(err)
+		}
+		if (!(this.upgrade && this.buffer.length)) this.done()
+	}
+
+	done(err) {
+		const {callback} = this
+		this.callback = undefined
+		if (callback) callback(err)
+		else if (err) this.destroy(err)
+	}
+
+	// Responses of the app (plain, as they go back to the requester) tell whether it agreed to upgrade.
+	watchResponses(readable) {
+		const responses = new HttpStreamParser({
+			isResponse: true,
+			maxBodySize: 0,
+			getRequest: () => this.pending[0],
+			onMessage: response => {
+				const request = this.pending.shift()
+				if (request === undefined || request !== this.upgrade) return
+				this.upgrade = undefined
+				if (response.upgrade) this.state = STATE.PASSTHROUGH
+				this.process()
+			},
+		})
+		readable.on('data', chunk => responses.push(chunk))
+	}
+
+	// Processes buffered data in the current state. Returns false when more data is needed.
+	step() {
+		switch (this.state) {
+			case STATE.HEAD:
+				return !this.upgrade && this.readHead()
+			case STATE.BODY:
+			case STATE.CHUNK_DATA: {
+				let size = Math.min(this.remaining, this.buffer.length)
+				this.forward(size)
+				this.remaining -= size
+				if (this.remaining === 0)
+					this.state = this.state === STATE.BODY ? STATE.HEAD : STATE.CHUNK_SIZE
+				return true
+			}
+			case STATE.CHUNK_SIZE:
+				return this.readLine(line => {
+					// Chunk extensions (after ;) are ignored by parseInt.
+					let chunkSize = parseInt(line, 16)
+					if (Number.isNaN(chunkSize)) throw new Error(`Invalid chunk size`)
+					if (chunkSize === 0) {
+						this.state = STATE.TRAILERS
+					} else {
+						// Data of the chunk is followed by CRLF.
+						this.remaining = chunkSize + CRLF.length
+						this.state = STATE.CHUNK_DATA
+					}
+				})
+			case STATE.TRAILERS:
+				return this.readLine(line => {
+					if (line === '') this.state = STATE.HEAD
+				})
+			case STATE.PASSTHROUGH:
+				this.forward(this.buffer.length)
+				return false
+		}
+	}
+
+	readHead() {
+		// Don't wait for the whole head of something that's not HTTP.
+		let lineEnd = this.buffer.indexOf(CRLF)
+		let end = this.buffer.indexOf(HEAD_END)
+		if (lineEnd !== -1 && parseHttpHead(this.buffer.subarray(0, lineEnd).toString('latin1')) === undefined) {
+			this.state = STATE.PASSTHROUGH
+			return true
+		}
+		if (end === -1) {
+			if (this.buffer.length > MAX_HEAD_SIZE) throw new Error(`HTTP head is too large`)
+			return false
+		}
+		let head = parseHttpHead(this.buffer.subarray(0, end).toString('latin1'))
+		this.buffer = this.buffer.subarray(end + HEAD_END.length)
+		this.push(serializeHttpHead(this.rewriteHead(head)))
+		let request = {head}
+		this.pending.push(request)
+		if (head.method === 'CONNECT' || getHeader(head, 'upgrade') !== undefined)
+			this.upgrade = request
+		let transferEncoding = getHeader(head, 'transfer-encoding') || ''
+		let contentLength = Number(getHeader(head, 'content-length') || 0)
+		if (transferEncoding.toLowerCase().includes('chunked')) {
+			this.state = STATE.CHUNK_SIZE
+		} else if (contentLength > 0) {
+			this.remaining = contentLength
+			this.state = STATE.BODY
+		} else if (Number.isNaN(contentLength)) {
+			throw new Error(`Invalid Content-Length`)
+		}
+		return true
+	}
+
+	rewriteHead(head) {
+		return {...head, headers: setForwardedHeaders(head.headers, this.address, this.proto)}
+	}
+
+	readLine(callback) {
+		let end = this.buffer.indexOf(CRLF)
+		if (end === -1) {
+			if (this.buffer.length > MAX_LINE_SIZE) throw new Error(`Chunked body line is too long`)
+			return false
+		}
+		let line = this.buffer.subarray(0, end).toString('latin1')
+		this.forward(end + CRLF.length)
+		callback(line)
+		return true
+	}
+
+	forward(size) {
+		this.push(this.buffer.subarray(0, size))
+		this.buffer = this.buffer.subarray(size)
+	}
+
+}
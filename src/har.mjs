@@ -0,0 +1,266 @@
+import fs from 'fs'
+import http from 'http'
+import https from 'https'
+import {getId} from './shared.mjs'
+import {getHeader, HttpStreamParser} from './http.mjs'
+import {normalizeAddress} from './forwarded.mjs'
+import {SERVICE} from './service.mjs'
+
+
+// Capture of HTTP exchanges passing through tunnels as HAR (HTTP Archive 1.2), and replay of the recorded requests.
+// Proxy sees the traffic as bytes, so both directions of every connection are parsed on the side while being piped.
+
+const REDACTED = '[redacted]'
+const DEFAULT_REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie']
+// Bodies of other types (and compressed ones) are stored as base64.
+const TEXT_TYPES = /^(text\/|application\/(json|xml|javascript|x-www-form-urlencoded)\b|[^;]*\+(json|xml)\b)/i
+// Recorder rewrites the file at most this often (and when the proxy closes). Every write serializes all the entries.
+const WRITE_DELAY = 10 * 1000
+
+const parseQuery = path => {
+	const index = path.indexOf('?')
+	if (index === -1) return []
+	return [...new URLSearchParams(path.slice(index + 1))].map(([name, value]) => ({name, value}))
+}
+
+// Text if it's readable, base64 otherwise.
+function toContent({head, body, bodySize}) {
+	if (body.length === 0) return {}
+	const type = getHeader(head, 'content-type') || ''
+	const content = TEXT_TYPES.test(type) && !getHeader(head, 'content-encoding')
+		? {text: body.toString()}
+		: {text: body.toString('base64'), encoding: 'base64'}
+	if (bodySize > body.length) content.comment = `truncated to ${body.length} of ${bodySize} bytes`
+	return content
+}
+
+const NO_RESPONSE = {
+	status: 0,
+	statusText: '',
+	httpVersion: '',
+	headers: [],
+	cookies: [],
+	content: {size: 0, mimeType: 'x-unknown'},
+	redirectURL: '',
+	headersSize: -1,
+	bodySize: -1,
+	_error: 'connection closed without response',
+}
+
+// Proxy side. Keeps the last harMaxEntries exchanges and writes them to harFile.
+export class HarRecorder {
+
+	entries = []
+	writing = Promise.resolve()
+
+	constructor(server) {
+		this.server = server
+		this.logger = server.logger
+		this.file = server.harFile
+		this.maxBodySize = server.harMaxBodySize
+		this.maxEntries = server.harMaxEntries
+		this.redactRules = [server.harRedactHeaders || DEFAULT_REDACTED_HEADERS].flat().map(rule => {
+			if (rule instanceof RegExp) return rule
+			if (typeof rule === 'string') return rule.toLowerCase()
+			throw new Error(`harRedactHeaders have to be header names or regular expressions`)
+		})
+	}
+
+	// Watches both directions of a connection piped through a tunnel. Readables carry plain (decrypted) data.
+	capture(socket, requestReadable, responseReadable) {
+		const service = socket[SERVICE]
+		// Requests waiting for response, in order.
+		const pending = []
+		const {maxBodySize} = this
+		const requests = new HttpStreamParser({
+			maxBodySize,
+			onMessage: message => pending.push(message),
+		})
+		const responses = new HttpStreamParser({
+			isResponse: true,
+			maxBodySize,
+			onMessage: message => {
+				const request = pending.shift()
+				if (!request) return
+				this.add(socket, service, request, message)
+				// Requests that follow a refused upgrade are still HTTP.
+				if (request.upgrade) requests.upgraded(message.upgrade)
+			},
+			getRequest: () => pending[0],
+		})
+		requestReadable.on('data', chunk => requests.push(chunk))
+		responseReadable.on('data', chunk => responses.push(chunk))
+		socket.once('close', () => {
+			responses.end()
+			// Requests the app never answered.
+			for (let request of pending.splice(0))
+				this.add(socket, service, request)
+		})
+	}
+
+	add(socket, service, request, response) {
+		const entry = this.createEntry(socket, service, request, response)
+		this.entries.push(entry)
+		if (this.entries.length > this.maxEntries) this.entries.shift()
+		this.server.emit('har-entry', entry)
+		this.scheduleWrite()
+	}
+
+	isRedacted(name) {
+		const lowerCase = name.toLowerCase()
+		return this.redactRules.some(rule => typeof rule === 'string' ? rule === lowerCase : rule.test(name))
+	}
+
+	toHarHeaders(headers) {
+		return headers.map(([name, value]) => ({name, value: this.isRedacted(name) ? REDACTED : value}))
+	}
+
+	createEntry(socket, service, request, response) {
+		const {head} = request
+		const scheme = socket.encrypted ? 'https' : 'http'
+		const timings = {
+			blocked: -1,
+			dns: -1,
+			connect: -1,
+			send: request.endedAt - request.startedAt,
+			wait: response ? Math.max(0, response.startedAt - request.endedAt) : -1,
+			receive: response ? response.endedAt - response.startedAt : -1,
+		}
+		const harRequest = {
+			method: head.method,
+			url: `${scheme}://${getHeader(head, 'host') || 'localhost'}${head.path}`,
+			httpVersion: head.version,
+			headers: this.toHarHeaders(head.headers),
+			queryString: parseQuery(head.path),
+			cookies: [],
+			headersSize: request.headSize,
+			bodySize: request.bodySize,
+		}
+		if (request.bodySize > 0)
+			harRequest.postData = {mimeType: getHeader(head, 'content-type') || '', ...toContent(request)}
+		let harResponse = {...NO_RESPONSE}
+		if (response) {
+			const {head} = response
+			harResponse = {
+				status: head.status,
+				statusText: head.statusText,
+				httpVersion: head.version,
+				headers: this.toHarHeaders(head.headers),
+				cookies: [],
+				content: {size: response.bodySize, mimeType: getHeader(head, 'content-type') || 'x-unknown', ...toContent(response)},
+				redirectURL: getHeader(head, 'location') || '',
+				headersSize: response.headSize,
+				bodySize: response.bodySize,
+			}
+		}
+		return {
+			startedDateTime: new Date(request.startedAt).toISOString(),
+			time: Object.values(timings).filter(time => time > 0).reduce((sum, time) => sum + time, 0),
+			request: harRequest,
+			response: harResponse,
+			cache: {},
+			timings,
+			connection: getId(socket),
+			_service: service ? service.name : undefined,
+			_clientAddress: normalizeAddress(socket.remoteAddress),
+		}
+	}
+
+	toHar() {
+		return {
+			log: {
+				version: '1.2',
+				creator: {name: 'lan-tunnel', version: ''},
+				entries: this.entries.slice(),
+			},
+		}
+	}
+
+	scheduleWrite() {
+		if (!this.file || this.writeTimer) return
+		this.writeTimer = setTimeout(this.write, WRITE_DELAY)
+		this.writeTimer.unref()
+	}
+
+	// HAR is a single JSON document, the whole file is rewritten. Readers never see half of it.
+	write = () => {
+		this.writeTimer = undefined
+		const temp = `${this.file}.tmp`
+		const json = JSON.stringify(this.toHar())
+		return this.writing = this.writing
+			.then(() => fs.promises.writeFile(temp, json))
+			.then(() => fs.promises.rename(temp, this.file))
+			.catch(err => {
+				this.logger.error(`Couldn't write HAR file`, {file: this.file, error: err.message})
+				this.server.emitError(new Error(`Couldn't write HAR file: ${err.message}`))
+			})
+	}
+
+	close() {
+		clearTimeout(this.writeTimer)
+		if (this.file) return this.write()
+	}
+
+}
+
+// HAR file written by the proxy (or saved from browser's dev tools).
+export function loadHar(file) {
+	let har
+	try {
+		har = JSON.parse(fs.readFileSync(file, 'utf8'))
+	} catch(err) {
+		throw new Error(`Couldn't read HAR file ${file}: ${err.message}`)
+	}
+	if (!har || !har.log || !Array.isArray(har.log.entries))
+		throw new Error(`${file} is not a HAR file`)
+	return har
+}
+
+// Set by the replaying request itself.
+const SKIPPED_HEADERS = ['content-length', 'transfer-encoding', 'connection', 'keep-alive']
+
+// Sends recorded requests again, one at a time, to host:port. That's the proxy (and through the tunnel to the app)
+// to reproduce what happened, or the app itself to rule out the tunnel. Headers that were redacted are left out.
+// Resolves with {method, url, status, recordedStatus, time, error} for every request. Requests whose body was
+// truncated aren't sent, they get {skipped: 'truncated body'} instead.
+export async function replayHar(har, {host = 'localhost', port, secure = false, filter} = {}) {
+	if (typeof port !== 'number') throw new Error(`replayHar needs port to send the requests to`)
+	const results = []
+	for (let entry of har.log.entries) {
+		if (filter && !filter(entry)) continue
+		results.push(await replayEntry(entry, {host, port, secure}))
+	}
+	return results
+}
+
+async function replayEntry({request, response}, {host, port, secure}) {
+	const {method, url, headers = [], postData} = request
+	const {hostname, pathname, search} = new URL(url)
+	const body = postData && postData.text !== undefined
+		? Buffer.from(postData.text, postData.encoding === 'base64' ? 'base64' : 'utf8')
+		: undefined
+	const result = {method, url, recordedStatus: response ? response.status : undefined}
+	// Body cut to harMaxBodySize would make a different request.
+	if (body && request.bodySize > body.length) return {...result, skipped: 'truncated body'}
+	const start = Date.now()
+	return new Promise(resolve => {
+		const req = (secure ? https : http).request({
+			host,
+			port,
+			method,
+			path: pathname + search,
+			headers: headers
+				.filter(({name, value}) => value !== REDACTED && !SKIPPED_HEADERS.includes(name.toLowerCase()))
+				.flatMap(({name, value}) => [name, value])
+				// Node would send the body chunked otherwise.
+				.concat(body ? ['Content-Length', String(body.length)] : []),
+			servername: secure ? hostname : undefined,
+			agent: false,
+		}, res => {
+			res.resume()
+			res.once('end', () => resolve({...result, status: res.statusCode, time: Date.now() - start}))
+		})
+		req.once('error', err => resolve({...result, error: err.message, time: Date.now() - start}))
+		req.end(body)
+	})
+}
@@ -0,0 +1,112 @@
+import net from 'net'
+import http from 'http'
+import {EventEmitter} from 'events'
+import {promiseEvent} from './shared.mjs'
+
+
+// Client side. Checks that the app accepts connections, or answers HTTP GET of healthCheck.path with status below 400,
+// and emits 'change' (healthy, reason) whenever it goes down or comes back up. Client reports it to the proxy
+// through the control connection and doesn't open tunnels while the app is down.
+export class AppHealthCheck extends EventEmitter {
+
+	// undefined until the first check is done
+	healthy = undefined
+	reason = undefined
+	failures = 0
+	checking = false
+	closed = false
+
+	constructor({appHost, appPort, protocol, healthCheck, logger}) {
+		super()
+		const {interval, timeout, path, failures} = healthCheck
+		if (typeof interval !== 'number' || !(interval > 0)) throw new Error(`healthCheck.interval has to be a positive number of milliseconds`)
+		if (typeof timeout !== 'number' || !(timeout > 0)) throw new Error(`healthCheck.timeout has to be a positive number of milliseconds`)
+		if (path !== undefined && !String(path).startsWith('/')) throw new Error(`healthCheck.path has to start with /`)
+		if (!Number.isInteger(failures) || failures < 1) throw new Error(`healthCheck.failures has to be a positive integer`)
+		if (protocol === 'udp') throw new Error(`healthCheck can't be used with protocol 'udp'`)
+		this.appHost = appHost
+		this.appPort = appPort
+		this.timeout = timeout
+		this.path = path
+		this.maxFailures = failures
+		this.logger = logger
+		// Resolves once the first check is done.
+		this.ready = promiseEvent(this, 'change')
+		this.check()
+		this.timer = setInterval(this.check, interval)
+	}
+
+	check = async () => {
+		if (this.checking) return
+		this.checking = true
+		let reason
+		try {
+			await (this.path !== undefined ? this.checkHttp() : this.checkTcp())
+		} catch(err) {
+			reason = String(err)
+		}
+		this.checking = false
+		if (!this.closed) this.onResult(reason)
+	}
+
+	checkTcp() {
+		return new Promise((resolve, reject) => {
+			const socket = net.connect({host: this.appHost, port: this.appPort})
+			socket.setTimeout(this.timeout, () => socket.destroy(new Error('timed out')))
+			socket.once('connect', () => {
+				socket.destroy()
+				resolve()
+			})
+			socket.once('error', err => reject(err.message))
+		})
+	}
+
+	checkHttp() {
+		return new Promise((resolve, reject) => {
+			const request = http.get({host: this.appHost, port: this.appPort, path: this.path, timeout: this.timeout, agent: false}, response => {
+				response.resume()
+				if (response.statusCode < 400)
+					resolve()
+				else
+					reject(`${this.path} answered with status ${response.statusCode}`)
+			})
+			request.once('timeout', () => request.destroy(new Error('timed out')))
+			request.once('error', err => reject(err.message))
+		})
+	}
+
+	// Running app is considered down after healthCheck.failures failed checks in a row (app that isn't known to run yet
+	// right away), and up again after the first successful one.
+	onResult(reason) {
+		if (reason === undefined) {
+			this.failures = 0
+			if (this.healthy !== true) this.setHealthy(true)
+		} else {
+			this.failures++
+			if (this.healthy === undefined || (this.healthy && this.failures >= this.maxFailures))
+				this.setHealthy(false, reason)
+		}
+	}
+
+	setHealthy(healthy, reason) {
+		this.healthy = healthy
+		this.reason = reason
+		if (healthy)
+			this.logger.info('App is up')
+		else
+			this.logger.info('App is down', {reason})
+		this.emit('change', healthy, reason)
+	}
+
+	close() {
+		this.closed = true
+		clearInterval(this.timer)
+	}
+
+}
+
+// Returns undefined if health checks aren't turned on (healthCheck.interval isn't set).
+export function createHealthCheck(options) {
+	if (options.healthCheck && options.healthCheck.interval !== undefined)
+		return new AppHealthCheck(options)
+}
@@ -0,0 +1,247 @@
+import http from 'http'
+import {Duplex} from 'stream'
+import {TYPE, mutuallyAssuredSocketDestruction} from './shared.mjs'
+import {normalizeHostname, serializeHttpHead, respond} from './http.mjs'
+import {setForwardedHeaders, normalizeAddress} from './forwarded.mjs'
+import {STREAM_META, CLIENT} from './service.mjs'
+import {STICKY_COOKIE} from './balancer.mjs'
+
+
+// Headers that only concern a single connection. Node's http sets its own for each side.
+const HOP_BY_HOP = ['connection', 'keep-alive', 'proxy-connection', 'te', 'trailer', 'upgrade']
+
+// Properties of the real socket that the rest of the proxy (logging, PROXY protocol, stats) reads from requests.
+const SOCKET_PROPS = ['remoteAddress', 'remotePort', 'localAddress', 'localPort', 'encrypted', 'servername']
+
+// In-memory socket. Two of them make a pair, whatever is written to one can be read from the other.
+class PairSocket extends Duplex {
+
+	bytesRead = 0
+	bytesWritten = 0
+	// Write waiting for the peer to consume what it already has.
+	pendingCallback = undefined
+
+	_write(chunk, encoding, callback) {
+		this.bytesWritten += chunk.length
+		this.peer.bytesRead += chunk.length
+		if (this.peer.push(chunk))
+			callback()
+		else
+			this.pendingCallback = callback
+	}
+
+	_final(callback) {
+		this.peer.push(null)
+		callback()
+	}
+
+	_read() {
+		const callback = this.peer.pendingCallback
+		this.peer.pendingCallback = undefined
+		if (callback) callback()
+	}
+
+	_destroy(err, callback) {
+		if (!this.peer.destroyed) this.peer.destroy()
+		callback(err)
+	}
+
+	// net.Socket API used by http module and the proxy.
+	setTimeout() { return this }
+	setNoDelay() { return this }
+	setKeepAlive() { return this }
+
+}
+
+function createSocketPair() {
+	const a = new PairSocket
+	const b = new PairSocket
+	a.peer = b
+	b.peer = a
+	return [a, b]
+}
+
+// 'a', 'b', 'c', 'd' -> [['a', 'b'], ['c', 'd']]
+function toPairs(rawHeaders) {
+	let pairs = []
+	for (let i = 0; i < rawHeaders.length; i += 2)
+		pairs.push([rawHeaders[i], rawHeaders[i + 1]])
+	return pairs
+}
+
+// Headers to add {name: value} or remove {name: null}. Replace headers of the same name.
+function applyHeaders(headers, changes) {
+	if (!changes) return headers
+	for (let [name, value] of Object.entries(changes)) {
+		headers = headers.filter(([key]) => key.toLowerCase() !== name.toLowerCase())
+		if (value !== null && value !== false && value !== undefined)
+			headers.push([name, String(value)])
+	}
+	return headers
+}
+
+const stripHopByHop = headers => headers.filter(([name]) => !HOP_BY_HOP.includes(name.toLowerCase()))
+
+// '/api' matches '/api', '/api/users' and '/api?page=2', but not '/apis'.
+function matchesPrefix(path, prefix) {
+	return path === prefix
+		|| path.startsWith(prefix + '/')
+		|| path.startsWith(prefix + '?')
+		|| prefix === ''
+}
+
+function stripPrefix(path, prefix) {
+	path = path.slice(prefix.length)
+	return path.startsWith('/') ? path : '/' + path
+}
+
+function validateRoute(route) {
+	if (typeof route !== 'object' || route === null)
+		throw new Error(`httpRoutes have to be objects`)
+	let {prefix = '/', appPort} = route
+	if (typeof prefix !== 'string' || !prefix.startsWith('/'))
+		throw new Error(`httpRoutes prefix has to start with /, got "${prefix}"`)
+	if (appPort !== undefined && typeof appPort !== 'number')
+		throw new Error(`httpRoutes appPort has to be a number, got "${appPort}"`)
+	// Trailing slash is implied.
+	return {...route, prefix: prefix.replace(/\/+$/, '')}
+}
+
+// Parses requests coming to the proxy with node's http server and forwards each of them separately,
+// which allows routing keep-alive connections request by request and rewriting headers in both directions.
+// Every request goes through the usual tunnel machinery (pool, queue, multiplexing) as an in-memory socket.
+export class HttpMode {
+
+	constructor(server) {
+		this.server = server
+		this.routes = (server.httpRoutes || []).map(validateRoute)
+		// Clients can register under these names even without virtualHosts.
+		this.services = this.routes.map(route => route.service).filter(name => name !== undefined)
+		this.http = http.createServer()
+		this.http.on('request', this.onRequest)
+		this.http.on('upgrade', this.onUpgrade)
+	}
+
+	handleConnection(socket) {
+		this.http.emit('connection', socket)
+	}
+
+	// Longest matching prefix wins.
+	findRoute(path) {
+		let found
+		for (let route of this.routes)
+			if (matchesPrefix(path, route.prefix) && (!found || route.prefix.length > found.prefix.length))
+				found = route
+		return found
+	}
+
+	// Where the request goes and how it looks like when it gets there.
+	// Requests not matching any route go to the service of their Host as usual.
+	prepareRequest(req) {
+		const route = this.findRoute(req.url) || {}
+		const {server} = this
+		const service = route.service !== undefined
+			? server.getService(route.service)
+			: server.getVirtualHostService(normalizeHostname(req.headers.host))
+		if (service === undefined) return
+		let headers = toPairs(req.rawHeaders)
+		if (server.forwardedHeaders)
+			headers = setForwardedHeaders(headers, normalizeAddress(req.socket.remoteAddress), req.socket.encrypted ? 'https' : 'http')
+		if (route.host)
+			headers = applyHeaders(headers, {Host: route.host})
+		headers = applyHeaders(headers, server.requestHeaders)
+		headers = applyHeaders(headers, route.requestHeaders)
+		const path = route.stripPrefix ? stripPrefix(req.url, route.prefix) : req.url
+		return {route, service, path, headers}
+	}
+
+	// Opens in-memory socket to the app through a tunnel of the service.
+	// Returns the socket and its peer, the request going through the proxy.
+	connect(req, {route, service}) {
+		const [socket, request] = createSocketPair()
+		for (let prop of SOCKET_PROPS)
+			request[prop] = req.socket[prop]
+		request[TYPE] = 'request'
+		if (route.appPort !== undefined)
+			request[STREAM_META] = {appPort: route.appPort}
+		if (this.server.sticky)
+			request[STICKY_COOKIE] = this.server.sticky.readCookie(req.headers.cookie)
+		this.server.watchRequest(request)
+		this.server.dispatchRequest(request, service)
+		return [socket, request]
+	}
+
+	onRequest = (req, res) => {
+		const denial = this.server.checkRequestAccess(req.socket.remoteAddress, req.headers.authorization)
+		if (denial) {
+			res.writeHead(denial.status, {'Content-Type': 'text/plain; charset=utf-8', ...denial.headers})
+			return res.end(`${denial.status} ${http.STATUS_CODES[denial.status]}\n`)
+		}
+		const target = this.prepareRequest(req)
+		if (target === undefined) {
+			this.server.logger.socket(req.socket, `no route`, {host: req.headers.host, url: req.url})
+			res.writeHead(404, {'Content-Type': 'text/plain; charset=utf-8'})
+			return res.end(`404 ${http.STATUS_CODES[404]}\n`)
+		}
+		const [socket, request] = this.connect(req, target)
+		const proxyReq = http.request({
+			createConnection: () => socket,
+			method: req.method,
+			path: target.path,
+			headers: stripHopByHop(target.headers).flat(),
+			setHost: false,
+		})
+		proxyReq.on('response', proxyRes => {
+			let headers = stripHopByHop(toPairs(proxyRes.rawHeaders))
+			headers = applyHeaders(headers, this.server.responseHeaders)
+			headers = applyHeaders(headers, target.route.responseHeaders)
+			// Sticks the visitor to the client that served the request (stickySessions 'cookie').
+			const cookie = this.server.sticky && request[CLIENT] && this.server.sticky.getCookieHeader(request, request[CLIENT])
+			if (cookie) headers.push(['Set-Cookie', cookie])
+			// Don't keep connections alive while the proxy is closing.
+			if (this.server.closing) headers.push(['Connection', 'close'])
+			res.writeHead(proxyRes.statusCode, proxyRes.statusMessage, headers.flat())
+			proxyRes.pipe(res)
+		})
+		proxyReq.on('error', err => {
+			this.server.logger.socket(req.socket, `request failed`, {error: err.message})
+			if (res.headersSent) return res.destroy()
+			res.writeHead(502, {'Content-Type': 'text/plain; charset=utf-8', 'Connection': 'close'})
+			res.end(`502 ${http.STATUS_CODES[502]}\n`)
+		})
+		// Requester went away before the response was finished.
+		res.once('close', () => {
+			if (!res.writableFinished) proxyReq.destroy()
+		})
+		req.pipe(proxyReq)
+	}
+
+	// Websockets and other upgrades. Once the head is sent, the connection is passed through as is.
+	onUpgrade = (req, clientSocket, head) => {
+		const denial = this.server.checkRequestAccess(req.socket.remoteAddress, req.headers.authorization)
+		if (denial) return respond(clientSocket, denial.status, undefined, denial.headers)
+		const target = this.prepareRequest(req)
+		if (target === undefined) return respond(clientSocket, 404)
+		const [socket] = this.connect(req, target)
+		socket.write(serializeHttpHead({
+			method: req.method,
+			path: target.path,
+			version: `HTTP/${req.httpVersion}`,
+			headers: target.headers,
+		}))
+		if (head.length) socket.write(head)
+		mutuallyAssuredSocketDestruction(clientSocket, socket)
+		clientSocket
+			.pipe(socket)
+			.pipe(clientSocket)
+	}
+
+	closeIdleConnections() {
+		this.http.closeIdleConnections()
+	}
+
+	close() {
+		this.http.closeAllConnections()
+	}
+
+}
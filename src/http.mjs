@@ -0,0 +1,285 @@
+import {STATUS_CODES} from 'http'
+
+
+export const HEAD_END = '\r\n\r\n'
+
+// Milliseconds. Visitor that doesn't send the whole head in time doesn't hold the socket forever.
+export const HEAD_TIMEOUT = 10 * 1000
+
+// Reads from the socket until the whole HTTP head (request line and headers) arrives, then puts
+// everything back with unshift() so that the socket can be piped as if it was never touched.
+// Resolves with parsed head, or undefined if the data doesn't look like HTTP or doesn't arrive in time.
+export function peekHttpHead(socket, maxSize = 16 * 1024, timeout = HEAD_TIMEOUT) {
+	return new Promise(resolve => {
+		let buffer = Buffer.alloc(0)
+		const timer = setTimeout(() => done(undefined), timeout)
+		const onData = chunk => {
+			buffer = Buffer.concat([buffer, chunk])
+			let endIndex = buffer.indexOf(HEAD_END)
+			if (endIndex !== -1)
+				done(parseHttpHead(buffer.slice(0, endIndex).toString('latin1')))
+			else if (buffer.length >= maxSize)
+				done(undefined)
+		}
+		const onEnd = () => done(undefined)
+		const done = head => {
+			clearTimeout(timer)
+			socket.removeListener('data', onData)
+			socket.removeListener('end', onEnd)
+			socket.removeListener('close', onEnd)
+			socket.pause()
+			if (buffer.length && !socket.destroyed)
+				socket.unshift(buffer)
+			resolve(head)
+		}
+		socket.on('data', onData)
+		socket.once('end', onEnd)
+		socket.once('close', onEnd)
+	})
+}
+
+export function parseHttpHead(string) {
+	let [requestLine, ...headerLines] = string.split('\r\n')
+	let [method, path, version] = requestLine.split(' ')
+	if (!method || !path || !version || !version.startsWith('HTTP/')) return
+	return {method, path, version, headers: parseHeaderLines(headerLines)}
+}
+
+// Status line and headers of a response.
+export function parseResponseHead(string) {
+	let [statusLine, ...headerLines] = string.split('\r\n')
+	let [version, status, ...statusText] = statusLine.split(' ')
+	if (!version.startsWith('HTTP/') || !/^\d{3}$/.test(status)) return
+	return {version, status: Number(status), statusText: statusText.join(' '), headers: parseHeaderLines(headerLines)}
+}
+
+function parseHeaderLines(lines) {
+	return lines
+		.map(line => {
+			let index = line.indexOf(':')
+			return [line.slice(0, index).trim(), line.slice(index + 1).trim()]
+		})
+		.filter(([name]) => name)
+}
+
+export function serializeHttpHead({method, path, version, headers}) {
+	let lines = [
+		`${method} ${path} ${version}`,
+		...headers.map(([name, value]) => `${name}: ${value}`),
+	]
+	return Buffer.from(lines.join('\r\n') + HEAD_END, 'latin1')
+}
+
+export function getHeader({headers}, name) {
+	name = name.toLowerCase()
+	let header = headers.find(([key]) => key.toLowerCase() === name)
+	if (header) return header[1]
+}
+
+// Strips port and trailing dot from Host header value.
+export function normalizeHostname(host) {
+	if (!host) return
+	host = host.toLowerCase()
+	if (host.startsWith('['))
+		host = host.slice(0, host.indexOf(']') + 1)
+	else if (host.includes(':'))
+		host = host.slice(0, host.indexOf(':'))
+	if (host.endsWith('.'))
+		host = host.slice(0, -1)
+	return host
+}
+
+// Writes simple HTTP response and closes the socket.
+export function respond(socket, status, body = `${status} ${STATUS_CODES[status]}\n`, headers = {}) {
+	if (socket.destroyed || socket.writableEnded) return
+	body = Buffer.from(body)
+	headers = {
+		'Content-Type': 'text/plain; charset=utf-8',
+		...headers,
+		'Content-Length': body.length,
+		'Connection': 'close',
+	}
+	let head = [
+		`HTTP/1.1 ${status} ${STATUS_CODES[status]}`,
+		...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+	].join('\r\n')
+	socket.end(Buffer.concat([Buffer.from(head + HEAD_END), body]))
+}
+
+// --------------------- STREAM PARSER --------------------
+
+const EMPTY = Buffer.alloc(0)
+const MAX_HEAD_SIZE = 64 * 1024
+
+// Incremental parser of HTTP/1.x messages flowing in one direction of a connection. Keep-alive connections carry
+// many of them. Gives up on anything that isn't HTTP, and after upgrades (websockets, CONNECT).
+// Request asking for upgrade is only an attempt. Requests parser waits (see upgraded()) until the response tells
+// whether the connection switched protocols, or the app refused and the next request follows.
+export class HttpStreamParser {
+
+	buffer = EMPTY
+	// Message whose body is being read.
+	message = undefined
+	stopped = false
+	// Request asking for upgrade was read, waiting for the response.
+	upgrading = false
+	startedAt = undefined
+
+	// getRequest returns the request the next response answers, its method decides whether the response has a body.
+	constructor({isResponse = false, maxBodySize, onMessage, getRequest}) {
+		this.isResponse = isResponse
+		this.maxBodySize = maxBodySize
+		this.onMessage = onMessage
+		this.getRequest = getRequest
+	}
+
+	push(chunk) {
+		if (this.stopped) return
+		if (!this.message && !this.buffer.length) this.startedAt = Date.now()
+		this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk
+		// Requests sent before the upgrade is answered aren't kept without limit.
+		if (this.upgrading && this.buffer.length > MAX_HEAD_SIZE) return this.stop()
+		this.parse()
+	}
+
+	parse() {
+		while (!this.stopped && !this.upgrading && this.buffer.length) {
+			const progress = this.message ? this.readBody() : this.readHead()
+			if (!progress) break
+		}
+	}
+
+	// Response to the request asking for upgrade arrived. Either the rest isn't HTTP, or the next request follows.
+	upgraded(switched) {
+		if (!this.upgrading) return
+		if (switched) return this.stop()
+		this.upgrading = false
+		this.parse()
+	}
+
+	// Connection closed. Responses without length end with it.
+	end() {
+		if (this.message && this.message.framing === 'close') this.finish()
+		this.stop()
+	}
+
+	stop() {
+		this.stopped = true
+		this.buffer = EMPTY
+		this.message = undefined
+	}
+
+	readHead() {
+		const end = this.buffer.indexOf(HEAD_END)
+		if (end === -1) {
+			if (this.buffer.length > MAX_HEAD_SIZE) this.stop()
+			return false
+		}
+		const string = this.buffer.subarray(0, end).toString('latin1')
+		const head = this.isResponse ? parseResponseHead(string) : parseHttpHead(string)
+		if (!head) return this.stop()
+		this.buffer = this.buffer.subarray(end + HEAD_END.length)
+		this.message = {head, headSize: end + HEAD_END.length, startedAt: this.startedAt, body: [], bodySize: 0, kept: 0, ...this.getFraming(head)}
+		if (this.message.framing === 'none') this.finish()
+		return true
+	}
+
+	getFraming(head) {
+		if (this.isResponse) {
+			const request = this.getRequest()
+			const method = request && request.head.method
+			if (head.status < 200 || head.status === 204 || head.status === 304 || method === 'HEAD' || method === 'CONNECT')
+				return {framing: 'none'}
+		}
+		const encoding = getHeader(head, 'transfer-encoding')
+		const length = getHeader(head, 'content-length')
+		if (encoding && /chunked/i.test(encoding)) return {framing: 'chunked', chunk: 'size'}
+		if (length !== undefined) return {framing: 'length', remaining: Number(length) || 0}
+		return {framing: this.isResponse ? 'close' : 'none'}
+	}
+
+	// Returns true once the message is complete.
+	readBody() {
+		const {message} = this
+		if (message.framing === 'close') {
+			this.addBody(this.buffer)
+			this.buffer = EMPTY
+			return false
+		}
+		if (message.framing === 'length') {
+			if (!this.readBytes()) return false
+			this.finish()
+			return true
+		}
+		return this.readChunked()
+	}
+
+	// Reads what's left of the body or the current chunk.
+	readBytes() {
+		const {message} = this
+		const part = this.buffer.subarray(0, message.remaining)
+		this.addBody(part)
+		message.remaining -= part.length
+		this.buffer = this.buffer.subarray(part.length)
+		return message.remaining === 0
+	}
+
+	// Size line, data, CRLF, ... zero size, trailers, empty line.
+	readChunked() {
+		const {message} = this
+		while (true) {
+			if (message.chunk === 'data') {
+				if (!this.readBytes()) return false
+				message.chunk = 'data-end'
+			}
+			const lineEnd = this.buffer.indexOf('\r\n')
+			if (lineEnd === -1) return false
+			const line = this.buffer.subarray(0, lineEnd).toString('latin1')
+			this.buffer = this.buffer.subarray(lineEnd + 2)
+			if (message.chunk === 'data-end') {
+				message.chunk = 'size'
+			} else if (message.chunk === 'size') {
+				const size = parseInt(line, 16)
+				if (Number.isNaN(size)) return this.stop()
+				message.chunk = size === 0 ? 'trailers' : 'data'
+				message.remaining = size
+			} else if (line === '') {
+				this.finish()
+				return true
+			}
+		}
+	}
+
+	// Bytes over maxBodySize are only counted.
+	addBody(part) {
+		const {message} = this
+		message.bodySize += part.length
+		if (message.kept >= this.maxBodySize) return
+		const kept = part.subarray(0, this.maxBodySize - message.kept)
+		message.body.push(kept)
+		message.kept += kept.length
+	}
+
+	finish() {
+		const {message} = this
+		this.message = undefined
+		this.startedAt = Date.now()
+		message.endedAt = Date.now()
+		message.body = Buffer.concat(message.body)
+		const {head} = message
+		message.upgrade = this.isUpgrade(head)
+		// The rest of the connection isn't HTTP (response), or may not be (request).
+		if (message.upgrade && this.isResponse) this.stopped = true
+		else if (message.upgrade) this.upgrading = true
+		// 100 Continue and other informational responses precede the real one.
+		if (this.isResponse && head.status < 200 && head.status !== 101) return
+		this.onMessage(message)
+	}
+
+	isUpgrade(head) {
+		if (!this.isResponse) return head.method === 'CONNECT' || getHeader(head, 'upgrade') !== undefined
+		const request = this.getRequest()
+		return head.status === 101 || (head.status < 300 && request !== undefined && request.head.method === 'CONNECT')
+	}
+
+}
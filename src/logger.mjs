@@ -0,0 +1,133 @@
+import util from 'util'
+import {NOTHING, INFO, VERBOSE, DEBUG, TYPE, getId, getDebugId} from './shared.mjs'
+import {SERVICE} from './service.mjs'
+
+
+// Names of the levels in records and methods of custom loggers (pino, bunyan, ...).
+const LEVEL_NAMES = {
+	[INFO]:    'info',
+	[VERBOSE]: 'debug',
+	[DEBUG]:   'trace',
+}
+
+// Level of instances without log option. Only changed by the deprecated setLogLevel().
+export let logLevel = INFO
+
+// log option: true (verbose), false (nothing), number (level) or undefined (info).
+export function toLogLevel(arg) {
+	if (arg === true) return VERBOSE
+	if (arg === false) return NOTHING
+	if (typeof arg === 'number') return arg
+	return INFO
+}
+
+// Human readable lines. Verbose and debug records are grayed out.
+function writeText(level, message, fields) {
+	const details = Object.entries(fields)
+		.filter(([key, value]) => key !== 'socket' && key !== 'type' && value !== undefined && value !== '')
+		.map(([key, value]) => `${key}: ${typeof value === 'string' ? value : util.inspect(value)}`)
+	const socket = fields.socket !== undefined ? `${(fields.type || '').slice(0, 1)}:${fields.socket}` : undefined
+	const line = [socket, message, details.join(' ')].filter(a => a).join(' | ')
+	if (level === 'error')
+		console.error(line)
+	else if (level === 'info')
+		console.log(line)
+	else
+		console.log('\x1b[90m', line, '\x1b[0m')
+}
+
+// One JSON object per line, for log shippers.
+function writeJson(level, message, fields) {
+	const record = {time: new Date().toISOString(), level, msg: message, ...fields}
+	if (fields.error instanceof Error) record.error = fields.error.message
+	process.stdout.write(JSON.stringify(record) + '\n')
+}
+
+// Logger of a single server or client. Produces records of a message and structured fields,
+// written as text, JSON, or handed to custom logger with pino-style methods: logger.info(fields, message).
+// Winston (recognized by its transports) takes the message first: logger.info(message, fields).
+export class Logger {
+
+	constructor({log, logger, logFormat = 'text'} = {}) {
+		if (logger !== undefined && (typeof logger !== 'object' || typeof logger.info !== 'function'))
+			throw new Error(`logger has to be an object with info, debug and error methods`)
+		if (!['text', 'json'].includes(logFormat))
+			throw new Error(`unknown logFormat "${logFormat}"`)
+		this.level = log === undefined ? logLevel : toLogLevel(log)
+		this.logger = logger
+		this.messageFirst = logger !== undefined && Array.isArray(logger.transports)
+		this.write = logFormat === 'json' ? writeJson : writeText
+	}
+
+	log(level, message, fields = {}) {
+		if (level > this.level) return
+		this.output(LEVEL_NAMES[level], message, fields)
+	}
+
+	info(message, fields) {
+		this.log(INFO, message, fields)
+	}
+
+	verbose(message, fields) {
+		this.log(VERBOSE, message, fields)
+	}
+
+	debug(message, fields) {
+		this.log(DEBUG, message, fields)
+	}
+
+	// Errors are logged at any level other than NOTHING.
+	error(message, fields = {}) {
+		if (this.level > NOTHING) this.output('error', message, fields)
+	}
+
+	// Debug record about a socket, with its id and type, and state of its service's pool and queue.
+	socket(socket, message, fields) {
+		if (this.level < DEBUG) return
+		this.debug(message, {...socketFields(socket), ...fields})
+	}
+
+	output(level, message, fields) {
+		const {logger} = this
+		if (!logger) return this.write(level, message, fields)
+		// Not every logger has trace level.
+		const method = logger[level] ? level : 'debug'
+		if (!logger[method]) return
+		if (this.messageFirst)
+			logger[method](message, fields)
+		else
+			logger[method](fields, message)
+	}
+
+}
+
+export function socketFields(socket) {
+	const fields = {socket: getId(socket), type: socket[TYPE]}
+	const service = socket[SERVICE]
+	if (service) {
+		if (service.name) fields.service = service.name
+		fields.pool = service.tunnelPool.length
+		fields.queue = service.requestQueue.length
+	}
+	return fields
+}
+
+export function createLogger(options) {
+	return new Logger(options)
+}
+
+// Global logging from before every server and client had its own logger. Kept for compatibility.
+const defaultLogger = new Logger
+
+// @deprecated Use log option of the server or client. Sets the level of instances created afterwards without log option.
+export function setLogLevel(arg) {
+	logLevel = defaultLogger.level = toLogLevel(arg)
+}
+
+// @deprecated Use logger of the server or client.
+export function log(level, ...args) {
+	defaultLogger.log(level, util.format(...args))
+}
+
+// @deprecated Use logger of the server or client.
+export const logSocket = (socket, ...args) => log(DEBUG, getDebugId(socket), ...args)
@@ -0,0 +1,184 @@
+import http from 'http'
+import {SERVICE} from './service.mjs'
+
+
+// Snapshot of proxy server's state and counters since it started.
+// Bytes are counted from the internet side (in = received from requester, out = sent to requester).
+export function getStats(server) {
+	const services = {}
+	for (let service of server.services.values()) {
+		const {counters, tunnelPool, muxPool, udpTunnels, requestQueue, tunnels} = service
+		const activeRequests = [...server.activeRequests].filter(request => request[SERVICE] === service)
+		services[service.name] = {
+			connected:          service.connected,
+			clients:            service.controls.size,
+			appDown:            service.appDown,
+			pooledTunnels:      tunnelPool.length,
+			activeTunnels:      tunnels.size - tunnelPool.length - muxPool.length - udpTunnels.length,
+			multiplexedTunnels: muxPool.length,
+			udpTunnels:         udpTunnels.length,
+			queuedRequests:     requestQueue.length,
+			activeRequests:     activeRequests.length,
+			requests:           counters.requests,
+			servedRequests:     counters.served,
+			rejectedRequests:   counters.rejected,
+			queueWait: {
+				count: counters.queueWaitCount,
+				sum:   counters.queueWaitSum,
+			},
+			bytesIn:    counters.bytesIn  + sum(activeRequests, request => request.bytesRead),
+			bytesOut:   counters.bytesOut + sum(activeRequests, request => request.bytesWritten),
+			reconnects: counters.reconnects,
+			// Spread of requests between clients of the service (see loadBalancing).
+			clientStats: [...service.clients.values()].map(client => ({
+				id:             client.id,
+				weight:         client.weight,
+				draining:       client.draining,
+				tunnels:        client.tunnels.size,
+				pooledTunnels:  client.tunnelPool.length,
+				activeRequests: client.activeRequests,
+				servedRequests: client.served,
+			})),
+		}
+		// Counted towards dailyQuota and monthlyQuota.
+		if (server.bandwidth) {
+			const {daily, monthly} = server.bandwidth.getUsage(service)
+			services[service.name].transferred = {today: daily.bytes, thisMonth: monthly.bytes}
+		}
+	}
+	const stats = {
+		uptime: Date.now() - server.startTime,
+		handshakeFailures: server.handshakeFailures,
+		deniedRequests: server.deniedRequests,
+		activeForwards: server.forwards.size,
+		services,
+	}
+	if (server.ports)
+		stats.publicPorts = [...server.ports.allocations.keys()]
+	if (server.udp) {
+		const {counters, sessionCount} = server.udp
+		stats.udp = {
+			sessions:         sessionCount,
+			datagramsIn:      counters.datagramsIn,
+			datagramsOut:     counters.datagramsOut,
+			droppedDatagrams: counters.dropped,
+		}
+	}
+	return stats
+}
+
+const sum = (array, getValue) => array.reduce((total, item) => total + getValue(item), 0)
+
+const SERVICE_METRICS = [
+	['connected',                'gauge',   'Whether at least one tunnel of the service is open.', s => s.connected ? 1 : 0],
+	['clients',                  'gauge',   'Clients with open control connection.',               s => s.clients],
+	['app_down',                 'gauge',   'Whether clients report the app is down (healthCheck).', s => s.appDown ? 1 : 0],
+	['tunnels_pooled',           'gauge',   'Idle tunnels waiting for requests.',                  s => s.pooledTunnels],
+	['tunnels_active',           'gauge',   'Tunnels currently serving a request.',                s => s.activeTunnels],
+	['tunnels_multiplexed',      'gauge',   'Open multiplexed tunnel connections.',                s => s.multiplexedTunnels],
+	['tunnels_udp',              'gauge',   'Open tunnel connections carrying UDP datagrams.',     s => s.udpTunnels],
+	['requests_queued',          'gauge',   'Requests waiting for a tunnel.',                      s => s.queuedRequests],
+	['requests_active',          'gauge',   'Requests being served through a tunnel.',             s => s.activeRequests],
+	['requests_total',           'counter', 'Requests routed to the service.',                     s => s.requests],
+	['requests_served_total',    'counter', 'Requests passed to a tunnel.',                        s => s.servedRequests],
+	['requests_rejected_total',  'counter', 'Requests rejected because the queue was full or they waited too long.', s => s.rejectedRequests],
+	['queue_wait_seconds_sum',   'counter', 'Total time requests spent waiting for a tunnel.',     s => s.queueWait.sum / 1000],
+	['queue_wait_seconds_count', 'counter', 'Number of requests that got a tunnel.',               s => s.queueWait.count],
+	['received_bytes_total',     'counter', 'Bytes received from requesters.',                     s => s.bytesIn],
+	['sent_bytes_total',         'counter', 'Bytes sent to requesters.',                           s => s.bytesOut],
+	['reconnects_total',         'counter', 'Times the service connected again after losing all tunnels.', s => s.reconnects],
+]
+
+// Labeled by service and clientId.
+const CLIENT_METRICS = [
+	['client_requests_active',       'gauge',   'Requests being served by the client.',                    c => c.activeRequests],
+	['client_requests_served_total', 'counter', 'Requests passed to the client since it connected.',       c => c.servedRequests],
+	['client_draining',              'gauge',   'Whether the client is drained and gets no new requests.', c => c.draining ? 1 : 0],
+]
+
+const PREFIX = 'lan_tunnel_'
+
+// Prometheus text exposition format.
+export function formatPrometheus(stats) {
+	const lines = []
+	const escape = string => string.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+	for (let [name, type, help, getValue] of SERVICE_METRICS) {
+		lines.push(`# HELP ${PREFIX}${name} ${help}`)
+		lines.push(`# TYPE ${PREFIX}${name} ${type}`)
+		for (let [serviceName, service] of Object.entries(stats.services))
+			lines.push(`${PREFIX}${name}{service="${escape(serviceName)}"} ${getValue(service)}`)
+	}
+	for (let [name, type, help, getValue] of CLIENT_METRICS) {
+		lines.push(`# HELP ${PREFIX}${name} ${help}`)
+		lines.push(`# TYPE ${PREFIX}${name} ${type}`)
+		for (let [serviceName, service] of Object.entries(stats.services))
+			for (let client of service.clientStats)
+				lines.push(`${PREFIX}${name}{service="${escape(serviceName)}",client="${escape(String(client.id ?? ''))}"} ${getValue(client)}`)
+	}
+	const usage = Object.entries(stats.services).filter(([name, service]) => service.transferred)
+	if (usage.length) {
+		lines.push(`# HELP ${PREFIX}transferred_bytes Bytes transferred by the service in the current quota period (UTC day or month).`)
+		lines.push(`# TYPE ${PREFIX}transferred_bytes gauge`)
+		for (let [serviceName, {transferred}] of usage) {
+			lines.push(`${PREFIX}transferred_bytes{service="${escape(serviceName)}",period="daily"} ${transferred.today}`)
+			lines.push(`${PREFIX}transferred_bytes{service="${escape(serviceName)}",period="monthly"} ${transferred.thisMonth}`)
+		}
+	}
+	lines.push(`# HELP ${PREFIX}handshake_failures_total Tunnels rejected while opening (wrong secret, timeout, bad handshake).`)
+	lines.push(`# TYPE ${PREFIX}handshake_failures_total counter`)
+	lines.push(`${PREFIX}handshake_failures_total ${stats.handshakeFailures}`)
+	lines.push(`# HELP ${PREFIX}requests_denied_total Connections and requests refused by access control (IP lists, auth, rate limits).`)
+	lines.push(`# TYPE ${PREFIX}requests_denied_total counter`)
+	lines.push(`${PREFIX}requests_denied_total ${stats.deniedRequests}`)
+	lines.push(`# HELP ${PREFIX}forwards_active Connections from clients' local ports (localForwards) being carried to forwardTargets.`)
+	lines.push(`# TYPE ${PREFIX}forwards_active gauge`)
+	lines.push(`${PREFIX}forwards_active ${stats.activeForwards}`)
+	if (stats.publicPorts) {
+		lines.push(`# HELP ${PREFIX}public_ports_open Public ports opened on demand of clients (publicPorts).`)
+		lines.push(`# TYPE ${PREFIX}public_ports_open gauge`)
+		lines.push(`${PREFIX}public_ports_open ${stats.publicPorts.length}`)
+	}
+	if (stats.udp) {
+		lines.push(`# HELP ${PREFIX}udp_sessions Source addresses of UDP datagrams seen within udpSessionTimeout.`)
+		lines.push(`# TYPE ${PREFIX}udp_sessions gauge`)
+		lines.push(`${PREFIX}udp_sessions ${stats.udp.sessions}`)
+		lines.push(`# HELP ${PREFIX}udp_datagrams_received_total UDP datagrams received from senders.`)
+		lines.push(`# TYPE ${PREFIX}udp_datagrams_received_total counter`)
+		lines.push(`${PREFIX}udp_datagrams_received_total ${stats.udp.datagramsIn}`)
+		lines.push(`# HELP ${PREFIX}udp_datagrams_sent_total UDP datagrams sent back to senders.`)
+		lines.push(`# TYPE ${PREFIX}udp_datagrams_sent_total counter`)
+		lines.push(`${PREFIX}udp_datagrams_sent_total ${stats.udp.datagramsOut}`)
+		lines.push(`# HELP ${PREFIX}udp_datagrams_dropped_total UDP datagrams dropped because there was no tunnel or it couldn't keep up.`)
+		lines.push(`# TYPE ${PREFIX}udp_datagrams_dropped_total counter`)
+		lines.push(`${PREFIX}udp_datagrams_dropped_total ${stats.udp.droppedDatagrams}`)
+	}
+	lines.push(`# HELP ${PREFIX}uptime_seconds Time since the proxy server started.`)
+	lines.push(`# TYPE ${PREFIX}uptime_seconds gauge`)
+	lines.push(`${PREFIX}uptime_seconds ${stats.uptime / 1000}`)
+	return lines.join('\n') + '\n'
+}
+
+// Admin HTTP server. Serves /metrics in Prometheus format and /stats as JSON.
+export function createMetricsServer(server) {
+	const {metricsPort, metricsHost} = server
+	const metrics = http.createServer((req, res) => {
+		const path = req.url.split('?')[0]
+		if (path === '/metrics') {
+			res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+			res.end(formatPrometheus(server.getStats()))
+		} else if (path === '/stats') {
+			res.setHeader('Content-Type', 'application/json')
+			res.end(JSON.stringify(server.getStats()))
+		} else {
+			res.statusCode = 404
+			res.end()
+		}
+	})
+	metrics.on('listening', () => server.logger.info(`Metrics server is listening on port ${metricsPort}`))
+	metrics.on('error', err => {
+		server.logger.error(`Metrics server error`, {error: err.message})
+		server.emitError(err)
+	})
+	metrics.listen(metricsPort, metricsHost)
+	return metrics
+}
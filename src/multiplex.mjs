@@ -0,0 +1,195 @@
+import {Duplex} from 'stream'
+import {EventEmitter} from 'events'
+
+
+// Multiplexes many logical streams over a single long-lived tunnel connection.
+// Every frame is [1 byte - type][4 bytes - stream id][4 bytes - payload length][payload].
+// Each side may only have INITIAL_WINDOW bytes of a stream in flight. The receiver returns the credit
+// with WINDOW frames as the data gets consumed, so one slow stream can't flood the shared connection.
+export const FRAME = {
+	OPEN:   1, // payload: JSON metadata of the stream
+	DATA:   2, // payload: data
+	END:    3, // sender won't write anymore (half-close)
+	RESET:  4, // stream was destroyed
+	WINDOW: 5, // payload: UInt32BE number of bytes the sender may send in addition
+}
+
+const HEADER_SIZE = 9
+const MAX_PAYLOAD = 16 * 1024
+const INITIAL_WINDOW = 256 * 1024
+const EMPTY = Buffer.alloc(0)
+
+export class MuxStream extends Duplex {
+
+	sendWindow = INITIAL_WINDOW
+	uncredited = 0
+	pendingWrite = undefined
+	endSent = false
+	endReceived = false
+	resetReceived = false
+
+	constructor(multiplexer, id, meta = {}) {
+		super()
+		this.multiplexer = multiplexer
+		this.id = id
+		this.meta = meta
+	}
+
+	_write(chunk, encoding, callback) {
+		this.pendingWrite = {chunk, callback}
+		this.flushWrite()
+	}
+
+	flushWrite() {
+		const pending = this.pendingWrite
+		if (!pending) return
+		while (pending.chunk.length && this.sendWindow > 0) {
+			let size = Math.min(pending.chunk.length, this.sendWindow, MAX_PAYLOAD)
+			this.multiplexer.sendFrame(FRAME.DATA, this.id, pending.chunk.subarray(0, size))
+			this.sendWindow -= size
+			pending.chunk = pending.chunk.subarray(size)
+		}
+		if (pending.chunk.length === 0) {
+			this.pendingWrite = undefined
+			pending.callback()
+		}
+	}
+
+	_final(callback) {
+		this.endSent = true
+		this.multiplexer.sendFrame(FRAME.END, this.id)
+		callback()
+	}
+
+	// Called whenever the consumer wants more data. Give the peer back credit for what's been consumed.
+	_read() {
+		if (this.uncredited === 0) return
+		let payload = Buffer.alloc(4)
+		payload.writeUInt32BE(this.uncredited)
+		this.uncredited = 0
+		this.multiplexer.sendFrame(FRAME.WINDOW, this.id, payload)
+	}
+
+	_destroy(err, callback) {
+		if (!this.resetReceived && !(this.endSent && this.endReceived))
+			this.multiplexer.sendFrame(FRAME.RESET, this.id)
+		this.multiplexer.streams.delete(this.id)
+		this.multiplexer.emit('stream-close', this.multiplexer)
+		callback(err)
+	}
+
+	onFrame(type, payload) {
+		switch (type) {
+			case FRAME.DATA:
+				this.uncredited += payload.length
+				this.push(payload)
+				break
+			case FRAME.END:
+				this.endReceived = true
+				this.push(null)
+				break
+			case FRAME.RESET:
+				this.resetReceived = true
+				// Data the peer sent before ending is still delivered (the consumer may be reading slowly).
+				if (this.endReceived && !this.readableEnded)
+					this.once('end', () => this.destroy())
+				else
+					this.destroy()
+				break
+			case FRAME.WINDOW:
+				this.sendWindow += payload.readUInt32BE(0)
+				this.flushWrite()
+				break
+		}
+	}
+
+}
+
+export class Multiplexer extends EventEmitter {
+
+	streams = new Map
+	buffer = EMPTY
+	closed = false
+
+	// Socket is the underlying tunnel connection. Readable and writable can be streams layered on top of it
+	// (i.e. decipher and cipher).
+	// Side which initiated the connection uses odd stream ids, the other side even, so that both can open streams.
+	constructor(socket, {readable = socket, writable = socket, initiator = false, logger} = {}) {
+		super()
+		this.socket = socket
+		this.logger = logger
+		this.writable = writable
+		this.nextId = initiator ? 1 : 2
+		readable.on('data', this.onData)
+		socket.once('close', this.close)
+	}
+
+	get streamCount() {
+		return this.streams.size
+	}
+
+	openStream(meta = {}) {
+		const id = this.nextId
+		this.nextId += 2
+		const stream = new MuxStream(this, id, meta)
+		this.streams.set(id, stream)
+		this.sendFrame(FRAME.OPEN, id, Buffer.from(JSON.stringify(meta)))
+		return stream
+	}
+
+	sendFrame(type, id, payload = EMPTY) {
+		if (this.closed || this.writable.destroyed) return
+		let header = Buffer.alloc(HEADER_SIZE)
+		header.writeUInt8(type, 0)
+		header.writeUInt32BE(id, 1)
+		header.writeUInt32BE(payload.length, 5)
+		this.writable.write(Buffer.concat([header, payload]))
+	}
+
+	onData = chunk => {
+		if (this.closed) return
+		this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk
+		while (this.buffer.length >= HEADER_SIZE) {
+			let type   = this.buffer.readUInt8(0)
+			let id     = this.buffer.readUInt32BE(1)
+			let length = this.buffer.readUInt32BE(5)
+			if (length > MAX_PAYLOAD) {
+				// The other side is not speaking our protocol.
+				if (this.logger) this.logger.info(`Multiplexer received oversized frame, closing connection`)
+				return this.close()
+			}
+			if (this.buffer.length < HEADER_SIZE + length) break
+			let payload = this.buffer.subarray(HEADER_SIZE, HEADER_SIZE + length)
+			this.buffer = this.buffer.subarray(HEADER_SIZE + length)
+			this.onFrame(type, id, payload)
+		}
+	}
+
+	onFrame(type, id, payload) {
+		if (type === FRAME.OPEN) {
+			let meta
+			try {
+				meta = JSON.parse(payload.toString())
+			} catch {
+				meta = {}
+			}
+			const stream = new MuxStream(this, id, meta)
+			this.streams.set(id, stream)
+			this.emit('stream', stream)
+		} else {
+			// Frames of already destroyed streams are ignored.
+			let stream = this.streams.get(id)
+			if (stream) stream.onFrame(type, payload)
+		}
+	}
+
+	close = () => {
+		if (this.closed) return
+		this.closed = true
+		for (let stream of this.streams.values())
+			stream.destroy()
+		this.streams.clear()
+		this.emit('close')
+	}
+
+}
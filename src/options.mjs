@@ -6,8 +6,15 @@ export default {
 
 	// CLIENT ONLY
 	// IP/hostname of the proxy where the app will be exposed.
+	// Can also be a list of proxies, each either hostname, 'hostname:port' or {host, port} (tunnelPort is the default port).
 	proxyHost: undefined,
 
+	// CLIENT ONLY
+	// What to do with multiple proxies.
+	// 'failover' - use one proxy at a time, move to the next one when it can't be reached.
+	// 'active-active' - keep tunnels open to all of them at once.
+	proxyPolicy: 'failover',
+
 	// CLIENT & SERVER
 	// Internal port, opened on the proxy server, used to receive connections from the app within hidden network.
 	tunnelPort: undefined,
@@ -21,29 +28,287 @@ export default {
 	// Port at which the app runs. This port will be forwared to the proxy.
 	appPort: 80,
 
+	// CLIENT ONLY
+	// Other ports of the app the proxy may send requests to (httpRoutes with appPort). Only with multiplex.
+	appPorts: undefined,
+
+	// --------------------- VIRTUAL HOSTS --------------------
+
+	// SERVER ONLY
+	// Lets single proxy expose multiple apps. Incoming connections are routed by HTTP Host header,
+	// or by TLS SNI when key and cert are set, to tunnels of clients registered under matching service name.
+	// Either object mapping hostnames to service names, e.g. {'hass.example.com': 'hass'},
+	// or true to use the hostname itself as the service name.
+	// Connections to unknown hosts are answered with 404 (HTTP) or 421 (HTTPS) and closed.
+	virtualHosts: undefined,
+
+	// CLIENT ONLY
+	// Name of the service under which the client's tunnels are registered. Used by proxy with virtualHosts.
+	service: undefined,
+
 	// --------------------- SSL/HTTP ENCRYPTION --------------------
 
 	// SERVER ONLY
 	// Certificate for proxy server encryption. I.e. makes the exposed app HTTPS instead of HTTP (SSL instead of TCP).
 	// See 'key' and 'cert' properties of https://nodejs.org/api/tls.html#tls_tls_createsecurecontext_options.
+	// Either PEM (string or Buffer) or path to the file. Files can be reloaded without restarting the proxy.
 	key: undefined,
 	cert: undefined,
 
+	// SERVER ONLY
+	// Certificates of other hostnames, picked by TLS SNI. Object mapping hostname to {key, cert},
+	// e.g. {'hass.example.com': {key, cert}, '*.example.com': {key, cert}}. key and cert are used for other hostnames.
+	certificates: undefined,
+
+	// SERVER ONLY
+	// Reloads certificates given as file paths when the files change (i.e. renewed by certbot).
+	// Can also be done manually with reloadCertificates().
+	watchCertificates: true,
+
 	// CLIENT & SERVER
 	// Cipher used to encrypt tunnel connections (they're basic TCP sockets, but can be encrypted).
-	// key and iv are required to turn on encryption. More info: https://nodejs.org/api/crypto.html#crypto_crypto_createcipheriv_algorithm_key_iv_options.
+	// mode 'static' (default) encrypts every tunnel with the same key and iv. Both are required to turn on encryption.
+	// More info: https://nodejs.org/api/crypto.html#crypto_crypto_createcipheriv_algorithm_key_iv_options.
+	// Reusing keystream is weak (captured tunnels can be XORed together) and data isn't protected from tampering.
+	// mode 'handshake' negotiates fresh keys for every tunnel (ephemeral X25519 key exchange + HKDF)
+	// authenticated by the key (any string, shared by client and server, iv is not used) and sends data
+	// in authenticated records encrypted with aead cipher. Tampering with the data breaks the connection.
 	tunnelEncryption: {
+		mode: 'static',
 		key: undefined,
 		iv: undefined,
 		cipher: 'aes-256-ctr',
+		aead: 'aes-256-gcm',
 	},
 
+	// CLIENT & SERVER
+	// Runs the tunnel port over standard TLS. Object with PEM strings or Buffers:
+	// key, cert - certificate of the proxy (server), or of the client (client, needed if the proxy verifies clients).
+	// ca - server: CA that issued client certificates, clients without a valid one are refused.
+	//      client: CA of the proxy's certificate, if it's not signed by a well known one.
+	// crl - server: revoked client certificates.
+	// servername - client: name to verify the proxy's certificate against, if it differs from proxyHost.
+	// Common name (CN) of the client certificate is used as the service name (virtualHosts).
+	tunnelTls: undefined,
+
+	// CLIENT & SERVER
+	// Compresses the tunnels, 'deflate' or 'brotli' (or a list in order of preference). Helps with metered links.
+	// Client: algorithms to ask for. Server: algorithms clients may use. The tunnel is compressed with the first algorithm
+	// of the client's list the server allows, uncompressed if there's none. Every write is flushed right away.
+	tunnelCompression: undefined,
+
 	// --------------------- TUNNEL INITIALIZATION CHALLENGE --------------------
 
 	// CLIENT & SERVER
+	// Secret shared by client and proxy. Proxy only accepts tunnels from clients that know it.
+	// Proxy sends random nonce and the client has to answer with HMAC of the nonce keyed by the secret.
 	secret: undefined,
 	challengeTimeout: 4000,
 
+	// CLIENT & SERVER
+	// Compatibility with older versions where the client sends the secret in plain text.
+	// Anyone sniffing the tunnel port learns the secret. Only enable while upgrading.
+	legacyChallenge: false,
+
+	// --------------------- CLIENT IP --------------------
+
+	// SERVER ONLY
+	// The app only ever sees connections from the client (usually localhost). To let it know the real address of the requester,
+	// proxy can send HAProxy PROXY protocol header (1 for text version, 2 for binary) ahead of every request.
+	// The app has to expect it (e.g. nginx 'listen ... proxy_protocol'), otherwise it sees garbage at the start of the request.
+	proxyProtocol: undefined,
+
+	// SERVER ONLY
+	// Adds X-Forwarded-For, X-Forwarded-Proto and X-Forwarded-Host headers to HTTP requests (after TLS termination if key and cert are set).
+	// Such headers sent by the requester are removed. Non-HTTP connections are forwarded untouched.
+	forwardedHeaders: false,
+
+	// --------------------- ACCESS CONTROL --------------------
+
+	// SERVER ONLY
+	// Lists of IP addresses or CIDR ranges, e.g. ['192.168.0.0/16', '2001:db8::/32']. Checked as soon as the connection is opened.
+	// Denied connections are closed without response. Deny list wins over allow list.
+	allowIps: undefined,
+	denyIps: undefined,
+
+	// SERVER ONLY
+	// Credentials required before the request gets to the app. HTTP Basic auth users {username: 'password'}
+	// and/or list of tokens sent as 'Authorization: Bearer <token>'. Other requests are answered with 401.
+	// Without httpMode only the first request of a connection is checked.
+	basicAuth: undefined,
+	bearerTokens: undefined,
+	authRealm: 'lan-tunnel',
+
+	// SERVER ONLY
+	// Limits per IP address. Connections over the limit are closed, requests over the limit are answered with 429.
+	// Without httpMode every connection is a single request.
+	maxConnectionsPerIp: undefined,
+	connectionsPerMinute: undefined,
+	requestsPerMinute: undefined,
+
+	// --------------------- BANDWIDTH --------------------
+
+	// CLIENT & SERVER
+	// Rate limits in bytes per second. Upload is what requesters send to the app, download is what the app sends back.
+	// Server: limits of every service (client identity), client: of all its tunnels together. Not limited by default.
+	uploadRate: undefined,
+	downloadRate: undefined,
+
+	// SERVER ONLY
+	// Rate limits of all services together, in bytes per second.
+	totalUploadRate: undefined,
+	totalDownloadRate: undefined,
+
+	// SERVER ONLY
+	// Bytes (both directions) every service may transfer per calendar day / month (UTC). Counted in memory.
+	// Over the quota, requests in flight are cut off and new ones are answered with 429 until the period ends.
+	dailyQuota: undefined,
+	monthlyQuota: undefined,
+
+	// SERVER ONLY
+	// Limits of particular services, overriding the ones above. {serviceName: {uploadRate, downloadRate, dailyQuota, monthlyQuota}}
+	serviceLimits: undefined,
+
+	// --------------------- HTTP MODE --------------------
+
+	// SERVER ONLY
+	// Parses HTTP requests instead of forwarding raw bytes. Each request of a keep-alive connection is routed
+	// and forwarded separately (through its own tunnel), websockets are passed through once upgraded.
+	// Only for apps that speak HTTP. Required by the options below.
+	httpMode: false,
+
+	// SERVER ONLY
+	// Routes requests by path prefix (the longest matching prefix wins). List of objects:
+	// prefix - e.g. '/api', matches '/api' and '/api/...'
+	// service - name of the service (clients registered under it) that gets the requests. Defaults to the one picked by virtualHosts.
+	// appPort - port of the app the client connects to (client has to use multiplex and list the port in appPorts).
+	// stripPrefix - removes the prefix from the path, i.e. '/api/users' becomes '/users'.
+	// host - Host header the app expects, e.g. 'localhost:3000'.
+	// requestHeaders, responseHeaders - like the options below, only for this route.
+	// Requests not matching any route are forwarded as they are.
+	httpRoutes: undefined,
+
+	// SERVER ONLY
+	// Headers added to every request going to the app or response going back, e.g. {'X-Powered-By': null, 'X-Proxy': 'lan-tunnel'}.
+	// Replace headers of the same name, null removes the header.
+	requestHeaders: undefined,
+	responseHeaders: undefined,
+
+	// --------------------- UDP --------------------
+
+	// SERVER ONLY
+	// Port at which the proxy receives UDP datagrams (e.g. WireGuard, DNS, game servers). Not listening by default.
+	// Datagrams are carried to the client through a single long-lived tunnel connection and replayed to appHost:appPort.
+	udpPort: undefined,
+
+	// SERVER ONLY
+	// Address udpPort is bound to. All IPv4 and IPv6 addresses by default.
+	udpHost: undefined,
+
+	// SERVER ONLY
+	// Service whose clients get the datagrams when the proxy uses virtualHosts (UDP has no hostname to route by).
+	udpService: undefined,
+
+	// CLIENT ONLY
+	// What the app speaks. 'tcp', 'udp' (opens just the UDP tunnel) or 'both'. The proxy has to have udpPort for UDP.
+	protocol: 'tcp',
+
+	// CLIENT & SERVER
+	// Each source address and port of datagrams is a session, with its own socket on the client side,
+	// so that the app's replies get back to the right sender. Sessions idle for this long are forgotten. In milliseconds.
+	udpSessionTimeout: 60 * 1000,
+
+	// --------------------- LOCAL PORT FORWARDING --------------------
+
+	// CLIENT ONLY
+	// Reverse direction, like 'ssh -L'. Ports opened on the client, connections to them are carried through the tunnel port
+	// to host:port reachable from the proxy machine (e.g. database or MQTT broker next to the proxy).
+	// List of 'localPort:host:port', 'localHost:localPort:host:port' or {localPort, localHost, host, port}.
+	// Local ports listen on 127.0.0.1 unless localHost says otherwise.
+	localForwards: undefined,
+
+	// SERVER ONLY
+	// Targets the clients may reach with localForwards. List of 'host:port' or {host, port}. Nothing is allowed by default.
+	forwardTargets: undefined,
+
+	// --------------------- PUBLIC PORTS --------------------
+
+	// SERVER ONLY
+	// Ports the clients may ask for (publicPort). '20000-20099', 20000 or list of those. Needs secret or tunnelTls with ca.
+	// Proxy listens on the port while the client's control connection is open. Plain TCP, without httpMode and certificates.
+	publicPorts: undefined,
+
+	// CLIENT ONLY
+	// Asks the proxy to open this port from its publicPorts for the app (0 for any free one), instead of using proxyPort.
+	// Assigned port is emitted in 'public-port' event.
+	publicPort: undefined,
+
+	// --------------------- APP HEALTH --------------------
+
+	// CLIENT ONLY
+	// Checks that the app is up and reports it to the proxy (through the control connection). While the app is down,
+	// the client doesn't open tunnels and the proxy answers requests with maintenanceResponse right away.
+	healthCheck: {
+		// Milliseconds between checks. Health checks are off unless it's set.
+		interval: undefined,
+		// Milliseconds. Check that takes longer fails.
+		timeout: 2000,
+		// HTTP GET of this path (i.e. '/health') has to answer with status below 400.
+		// Without path, the app only has to accept TCP connection at appPort.
+		path: undefined,
+		// Failed checks in a row after which the app is considered down. One successful check brings it back up.
+		failures: 2,
+	},
+
+	// SERVER ONLY
+	// HTTP response while clients report the app is down (see healthCheck). Fields that aren't set
+	// are taken from unavailableResponse (which is also used if this isn't set at all).
+	// Set to false to just close the connection.
+	maintenanceResponse: undefined,
+
+	// --------------------- LOAD BALANCING --------------------
+
+	// SERVER ONLY
+	// How requests are spread between clients registered under the same service (the app running on more machines).
+	// 'round-robin', 'least-connections' (fewest requests in flight) or 'weighted' (round robin by client's weight).
+	loadBalancing: 'round-robin',
+
+	// CLIENT ONLY
+	// Share of requests the client gets with loadBalancing 'weighted', relative to other clients of the service.
+	weight: 1,
+
+	// SERVER ONLY
+	// Keeps sending requests of the same visitor to the same client for as long as it's connected (and not drained).
+	// 'ip' (by address of the visitor) or 'cookie' (needs httpMode, the proxy sets stickyCookie in responses).
+	stickySessions: undefined,
+	stickyCookie: 'lan-tunnel-client',
+	// Milliseconds. IP is forgotten after this long without requests.
+	stickyTimeout: 30 * 60 * 1000,
+
+	// --------------------- REQUEST QUEUE --------------------
+
+	// SERVER ONLY
+	// Requests wait in queue when there's no free tunnel. Requests over this limit (per service) are rejected right away.
+	maxQueueLength: 100,
+
+	// SERVER ONLY
+	// Max time a request waits in the queue for a tunnel before it's rejected. In milliseconds.
+	// Requests wait until they get a tunnel (or the visitor gives up) unless it's set.
+	queueTimeout: undefined,
+
+	// SERVER ONLY
+	// HTTP response to rejected requests (the app is offline or overloaded).
+	// body can be a custom maintenance page (string or Buffer). Defaults to short text message.
+	// Without httpMode the connection is just closed, unless this is set explicitly (the app may not speak HTTP).
+	// Set to false to just close the connection.
+	unavailableResponse: {
+		status: 503,
+		// Seconds. Sent as Retry-After header.
+		retryAfter: 30,
+		contentType: 'text/plain; charset=utf-8',
+		body: undefined,
+	},
+
 	// --------------------- SOCKETS --------------------
 
 	// SERVER ONLY
@@ -53,11 +318,82 @@ export default {
 	requestTimeout: undefined,
 
 	// CLIENT ONLY
-	// Ammount of standby open tunnel connections 
+	// Ammount of standby open tunnel connections. Initial size of the pool, before the proxy reports actual demand.
 	tunnelSocketsPoolSize: 20,
 
+	// CLIENT ONLY
+	// Bounds of the pool size. The proxy reports how many requests are waiting and how fast the pool drains,
+	// and the client keeps enough idle tunnels to cover the next couple of seconds.
+	// Set both to the same number to get a fixed size pool.
+	minTunnels: 2,
+	maxTunnels: 20,
+
+	// CLIENT ONLY
+	// Carries all requests through a single long-lived connection (each one as a separate stream with its own flow control)
+	// instead of the pool of tunnelSocketsPoolSize connections, each used for just one request.
+	// Proxy server accepts both kinds of tunnels.
+	multiplex: false,
+
 	// CLIENT ONLY
 	// Time between crashing/disconnecting and attempting to reconnect. In milliseconds.
+	// Doubles with every failed attempt (with random jitter) up to maxReconnectTimeout.
 	reconnectTimeout: 5 * 1000,
+	maxReconnectTimeout: 5 * 60 * 1000,
+
+	// --------------------- LOGGING --------------------
+
+	// CLIENT & SERVER
+	// How much to log. false (nothing), 1 (info, default), true or 2 (verbose), 3 (debug, every socket event).
+	// Each server and client has its own level.
+	log: undefined,
+
+	// CLIENT & SERVER
+	// Custom logger with pino-style methods, called as logger.info(fields, message). Also debug, trace and error.
+	// Winston loggers are called as logger.info(message, fields).
+	// Gets structured fields like socket id and type, service, pool and queue size. Output of the levels above is up to the logger.
+	logger: undefined,
+
+	// CLIENT & SERVER
+	// Output when there's no custom logger. 'text' for humans, 'json' (one object per line) for log shippers.
+	logFormat: 'text',
+
+	// --------------------- HTTP CAPTURE --------------------
+
+	// SERVER ONLY
+	// Records HTTP exchanges passing through tunnels into this HAR file (rewritten at most every 10 seconds). Off by default.
+	// Recorded requests can be sent again with replayHar() or 'lan-tunnel replay'. See also getHar().
+	harFile: undefined,
+	// Bodies are cut to this many bytes. Their full size is still recorded.
+	harMaxBodySize: 64 * 1024,
+	// Only the last this many exchanges are kept (in memory, with bodies).
+	harMaxEntries: 200,
+	// Values of these headers are replaced with '[redacted]'. Names or regular expressions.
+	// Authorization, Proxy-Authorization, Cookie and Set-Cookie by default.
+	harRedactHeaders: undefined,
+
+	// --------------------- CONTROL CONNECTION --------------------
+
+	// CLIENT & SERVER
+	// Client keeps a control connection to the proxy next to its tunnels. The proxy reports demand for tunnels,
+	// tells why it refused a tunnel, and asks the client to drain before shutting down (see drainClients()).
+	// Client sends heartbeats every heartbeatInterval, either side closes the connection after 3 intervals of silence.
+	heartbeatInterval: 10 * 1000,
+
+	// CLIENT ONLY
+	// Identifies the client in the proxy's logs. Random by default.
+	clientId: undefined,
+
+	// --------------------- METRICS --------------------
+
+	// SERVER ONLY
+	// Port of admin HTTP server with metrics in Prometheus text format at /metrics and JSON at /stats.
+	// Not started by default. The same stats are always available through getStats().
+	metricsPort: undefined,
+	// Interface the metrics server listens on. Only reachable from the proxy machine itself by default.
+	metricsHost: '127.0.0.1',
+
+	// CLIENT & SERVER
+	// How long close() waits for requests in flight to finish before destroying them. In milliseconds.
+	closeTimeout: 10 * 1000,
 
 }
\ No newline at end of file
@@ -0,0 +1,142 @@
+import net from 'net'
+import crypto from 'crypto'
+import {killSocket} from './shared.mjs'
+
+
+// Public ports opened on demand, like ngrok. Client asks for a port from publicPorts (or any of them)
+// in the hello of its control connection. Proxy listens on the port for as long as the control connection
+// stays open. Connections to the port go to a service of their own. The proxy answers the hello with a random token
+// of the port, the client's tunnels join it by the token. clientId is reported by the client itself, it only labels the port.
+
+// '20000-20099', 20000 or list of those -> list of ports
+export function parsePortRange(range) {
+	const ports = new Set
+	for (let entry of [range].flat()) {
+		let match = /^(\d+)(?:-(\d+))?$/.exec(String(entry).trim())
+		if (!match) throw new Error(`publicPorts entries have to be "port" or "from-to", got "${entry}"`)
+		let from = Number(match[1])
+		let to = match[2] !== undefined ? Number(match[2]) : from
+		if (from < 1 || to > 65535 || from > to) throw new Error(`publicPorts contains invalid range "${entry}"`)
+		for (let port = from; port <= to; port++)
+			ports.add(port)
+	}
+	if (ports.size === 0) throw new Error(`publicPorts is empty`)
+	return [...ports]
+}
+
+export class PublicPorts {
+
+	// port -> allocation
+	allocations = new Map
+	// token -> allocation
+	tokens = new Map
+
+	constructor(server) {
+		this.server = server
+		this.logger = server.logger
+		this.ports = parsePortRange(server.publicPorts)
+	}
+
+	get size() {
+		return this.allocations.size
+	}
+
+	// Service of the public port with given token. Tunnels of the client are registered under it.
+	getService(token) {
+		const allocation = typeof token === 'string' && this.tokens.get(token)
+		if (allocation) return allocation.service
+	}
+
+	// Opens the port asked for in the hello ({port: 0} for any free one). Throws the reason if it can't.
+	async allocate(control, {client, port, token}) {
+		if (!Number.isInteger(port)) throw `invalid public port "${port}"`
+		let allocation = typeof token === 'string' && this.tokens.get(token)
+		if (allocation && (port === 0 || port === allocation.port)) {
+			// Client reconnected before the proxy noticed its old control connection is gone. It keeps the port.
+			this.attach(allocation, control)
+			return allocation
+		}
+		if (allocation) this.release(allocation)
+		if (port !== 0 && !this.ports.includes(port)) throw `port ${port} is not in publicPorts`
+		if (port !== 0 && this.allocations.has(port)) throw `port ${port} is taken`
+		const candidates = port === 0 ? this.ports.filter(port => !this.allocations.has(port)) : [port]
+		for (let candidate of candidates) {
+			// Another client might have got it in the meantime.
+			if (this.allocations.has(candidate)) continue
+			const listener = await this.listen(candidate)
+			if (!listener) continue
+			if (control.destroyed) {
+				listener.close()
+				throw 'socket closed'
+			}
+			return this.open(control, client, candidate, listener)
+		}
+		throw port === 0 ? `no free public port` : `port ${port} is in use`
+	}
+
+	// Resolves with the listening server, or undefined if the port can't be used (i.e. other process has it).
+	listen(port) {
+		const listener = net.createServer()
+		return new Promise(resolve => {
+			listener.once('listening', () => resolve(listener))
+			listener.once('error', err => {
+				this.logger.verbose(`Couldn't listen on public port`, {port, error: err.message})
+				resolve()
+			})
+			listener.listen(port)
+		})
+	}
+
+	open(control, client, port, listener) {
+		const {server} = this
+		const service = server.getService(`port-${port}`)
+		service.port = port
+		const token = crypto.randomBytes(18).toString('base64url')
+		const allocation = {port, client, token, service, listener}
+		listener.on('connection', request => server.onProxyRequest(request, service))
+		listener.on('error', err => {
+			this.logger.error(`Public port error`, {port, error: err.message})
+			server.emitError(err)
+		})
+		this.allocations.set(port, allocation)
+		this.tokens.set(token, allocation)
+		this.attach(allocation, control)
+		this.logger.info(`Public port ${port} opened`, {port, client})
+		server.emit('port-open', port, client)
+		return allocation
+	}
+
+	// Port belongs to the latest control connection of the client.
+	attach(allocation, control) {
+		const previous = allocation.control
+		allocation.control = control
+		control.once('close', () => {
+			if (allocation.control === control) this.release(allocation)
+		})
+		if (previous) killSocket(previous)
+	}
+
+	// Client disconnected. Requests in flight finish, idle tunnels and queued requests are dropped.
+	release(allocation) {
+		const {port, client, token, service, listener} = allocation
+		if (this.allocations.get(port) !== allocation) return
+		this.allocations.delete(port)
+		this.tokens.delete(token)
+		listener.close()
+		service.requestQueue.forEach(killSocket)
+		service.tunnelPool.forEach(killSocket)
+		for (let multiplexer of service.muxPool)
+			if (multiplexer.streamCount === 0) killSocket(multiplexer.socket)
+		// The service and its stats go away with the port, which may be given to another client.
+		// While the proxy is closing they're kept for the final stats.
+		if (!this.server.closing) this.server.services.delete(service.name)
+		this.logger.info(`Public port ${port} closed`, {port, client})
+		this.server.emit('port-close', port, client)
+	}
+
+	close() {
+		for (let allocation of this.allocations.values())
+			allocation.listener.close()
+	}
+
+}
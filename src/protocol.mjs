@@ -0,0 +1,121 @@
+// Length-prefixed JSON messages exchanged between client and server when opening a tunnel,
+// and over the control connection.
+// [4 bytes - UInt32BE length][length bytes - JSON]
+
+const MAX_MESSAGE_SIZE = 64 * 1024
+
+// Version of the messages. Sent by the client in every hello, proxy answers with its own.
+// Clients older than version 1 don't send it and don't get any answer, the proxy just closes refused tunnels.
+// Since version 2 the control connection is encrypted like the tunnels (if tunnelEncryption is set).
+export const PROTOCOL_VERSION = 2
+export const MIN_PROTOCOL_VERSION = 1
+// Control connections of older clients can't be encrypted.
+export const ENCRYPTED_CONTROL_VERSION = 2
+
+export function encodeMessage(message) {
+	let json = Buffer.from(JSON.stringify(message))
+	let header = Buffer.alloc(4)
+	header.writeUInt32BE(json.length)
+	return Buffer.concat([header, json])
+}
+
+export function writeMessage(socket, message) {
+	return new Promise(resolve => socket.write(encodeMessage(message), resolve))
+}
+
+export async function readMessage(socket) {
+	let length = (await readBytes(socket, 4)).readUInt32BE(0)
+	if (length > MAX_MESSAGE_SIZE) throw 'message too large'
+	let body = await readBytes(socket, length)
+	try {
+		return JSON.parse(body.toString())
+	} catch {
+		throw 'malformed message'
+	}
+}
+
+// Hello of a tunnel, or undefined if nothing arrives within timeout. Clients from before the hello
+// (lan-tunnel 3.1 and older) don't send anything after the secret and wait for requests.
+export async function readHello(socket, timeout) {
+	// Silence isn't an error yet, idle timeout would close the socket.
+	socket.setTimeout(0)
+	if (!socket.readableLength) {
+		let onReadable, timer
+		const arrived = await new Promise(resolve => {
+			onReadable = () => resolve(true)
+			timer = setTimeout(resolve, timeout, false)
+			socket.once('readable', onReadable)
+		})
+		clearTimeout(timer)
+		// Left 'readable' listener would keep the socket from flowing once it's piped.
+		socket.removeListener('readable', onReadable)
+		if (!arrived) return
+	}
+	socket.setTimeout(timeout)
+	return readMessage(socket)
+}
+
+// Client side of opening a tunnel or control connection. Proxy answers the hello with {type: 'accepted', version}
+// or {type: 'rejected', reason}. Throws the reason if the tunnel was refused.
+export async function sendHello(socket, hello, timeout) {
+	await writeMessage(socket, {...hello, version: PROTOCOL_VERSION})
+	socket.setTimeout(timeout)
+	let reply = await readMessage(socket)
+	if (reply.type === 'rejected') throw reply.reason || 'rejected'
+	if (reply.type !== 'accepted') throw 'unexpected answer to hello'
+	if (!(reply.version >= MIN_PROTOCOL_VERSION))
+		throw `proxy speaks protocol version ${reply.version}, at least ${MIN_PROTOCOL_VERSION} is needed`
+	return reply
+}
+
+// Calls back with every message arriving at long-lived socket. Destroys the socket if it receives garbage.
+export function readMessages(socket, callback) {
+	let buffer = Buffer.alloc(0)
+	socket.on('data', chunk => {
+		buffer = Buffer.concat([buffer, chunk])
+		while (buffer.length >= 4) {
+			let length = buffer.readUInt32BE(0)
+			if (length > MAX_MESSAGE_SIZE) return socket.destroy()
+			if (buffer.length < 4 + length) break
+			let body = buffer.subarray(4, 4 + length)
+			buffer = buffer.subarray(4 + length)
+			let message
+			try {
+				message = JSON.parse(body.toString())
+			} catch {
+				return socket.destroy()
+			}
+			callback(message)
+		}
+	})
+}
+
+// Resolves once exactly given number of bytes is available.
+export function readBytes(socket, length) {
+	return new Promise((resolve, reject) => {
+		const onReadable = () => {
+			let buffer = socket.read(length)
+			// Ended socket returns whatever is left, even if it's less than requested.
+			if (buffer === null) return
+			if (buffer.length === length)
+				done(resolve, buffer)
+			else
+				done(reject, 'socket closed')
+		}
+		const onTimeout = () => done(reject, 'timed out')
+		const onClose   = () => done(reject, 'socket closed')
+		const done = (callback, arg) => {
+			socket.removeListener('readable', onReadable)
+			socket.removeListener('timeout', onTimeout)
+			socket.removeListener('end', onClose)
+			socket.removeListener('close', onClose)
+			callback(arg)
+		}
+		socket.on('readable', onReadable)
+		socket.once('timeout', onTimeout)
+		socket.once('end', onClose)
+		socket.once('close', onClose)
+		// Data might have already been buffered while reading the previous part.
+		if (socket.readableLength) onReadable()
+	})
+}
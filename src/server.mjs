@@ -1,76 +1,342 @@
 import net from 'net'
 import tls from 'tls'
-import {log, logLevel, INFO, VERBOSE, DEBUG, setLogLevel, removeFromArray, applyOptions, setupLongLivedSocket, killSocket, mutuallyAssuredSocketDestruction, logSocket, TYPE, getDebugId} from './shared.mjs'
-import {verifyReceiverTunnel, createCipher, canEncryptTunnel} from './encryption.mjs'
+import {EventEmitter} from 'events'
+import {VERBOSE, DEBUG, removeFromArray, applyOptions, setupLongLivedSocket, killSocket, mutuallyAssuredSocketDestruction, deferredSocketDestruction, TYPE, promiseEvent, promiseTimeout, promiseListening} from './shared.mjs'
+import {createLogger, socketFields} from './logger.mjs'
+import {verifyReceiverTunnel, createCipher, canEncryptTunnel, encryptSocket, handshakeTunnel, validateEncryptionOptions, ENCRYPTION} from './encryption.mjs'
+import {compressChannel, parseCompression, pickCompression} from './compression.mjs'
+import {readHello, readMessages, encodeMessage, writeMessage, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, ENCRYPTED_CONTROL_VERSION} from './protocol.mjs'
+import {peekHttpHead, getHeader, normalizeHostname, respond} from './http.mjs'
+import {Service, ServiceClient, SERVICE, CLIENT, STREAM_META, DEFAULT_SERVICE} from './service.mjs'
+import {pickClient, createStickySessions, BALANCING} from './balancer.mjs'
+import {Multiplexer} from './multiplex.mjs'
+import {createProxyHeader, ForwardedHeaders, normalizeAddress} from './forwarded.mjs'
+import {HttpMode} from './http-mode.mjs'
+import {createAccessControl} from './access.mjs'
+import {createBandwidthLimiter, UPLOAD, DOWNLOAD} from './bandwidth.mjs'
+import {CertificateStore, hasCertificates} from './certificates.mjs'
+import {UdpServer} from './udp.mjs'
+import {parseForwardTargets, isForwardAllowed} from './forward.mjs'
+import {PublicPorts} from './ports.mjs'
+import {HarRecorder} from './har.mjs'
+import {getStats, createMetricsServer} from './metrics.mjs'
 import defaultOptions from './options.mjs'
 
 
-class ProxyServer {
+class ProxyServer extends EventEmitter {
 
-	tunnelPool = []
-	requestQueue = []
+	services = new Map
+	// Requests that are being served through a tunnel.
+	activeRequests = new Set
+	closing = false
+	startTime = Date.now()
+	handshakeFailures = 0
+	// Requests and connections refused by access control.
+	deniedRequests = 0
+	// Tunnels carrying connections from clients' local ports (localForwards) to forwardTargets.
+	forwards = new Set
+	// Ids of clients that don't get new requests (see drainClient()).
+	drainedClients = new Set
+	// Retries of servers that couldn't listen again after restart.
+	restartTimers = new Set
 
 	constructor(options) {
+		super()
 		this.processOptions(options)
-		this.startProxyServer()
-		this.startTunnelServer()
+		this.access = createAccessControl(this)
+		this.bandwidth = createBandwidthLimiter(this)
+		this.sticky = createStickySessions(this)
+		if (hasCertificates(this))
+			this.certificateStore = new CertificateStore(this)
+		if (this.httpMode)
+			this.http = new HttpMode(this)
+		const listening = [this.startProxyServer(), this.startTunnelServer()]
+		if (this.udpPort !== undefined) {
+			this.udp = new UdpServer(this, this.getService(this.udpService ?? DEFAULT_SERVICE))
+			listening.push(promiseListening(this.udp.socket))
+		}
+		if (this.publicPorts !== undefined)
+			this.ports = new PublicPorts(this)
+		if (this.harFile !== undefined)
+			this.har = new HarRecorder(this)
+		if (this.certificateStore && this.watchCertificates)
+			this.certificateStore.watch(this.onCertificatesChanged)
+		if (this.metricsPort !== undefined)
+			this.metrics = createMetricsServer(this)
+		this.demandTimer = setInterval(this.onDemandTick, DEMAND_INTERVAL)
+		this.demandTimer.unref()
+		this.ready = Promise.all(listening).then(() => this)
+		// Rejected ready doesn't crash the process of those who don't wait for it.
+		this.ready.catch(err => this.logger.error(`Couldn't start proxy server`, {error: err.message}))
 	}
 
 	processOptions(options) {
-		setLogLevel(options.log)
 		applyOptions(this, defaultOptions, options)
+		this.logger = createLogger(this)
 		if (typeof this.proxyPort !== 'number') throw new Error(`proxyPort not defined`)
 		if (typeof this.tunnelPort !== 'number') throw new Error(`tunnelPort not defined`)
 		if (this.proxyPort === this.tunnelPort) throw new Error(`proxyPort cannot be the same as tunnelPort`)
+		if (![undefined, false, 1, 2].includes(this.proxyProtocol)) throw new Error(`proxyProtocol has to be 1 or 2`)
+		if (!Object.values(BALANCING).includes(this.loadBalancing)) throw new Error(`unknown loadBalancing "${this.loadBalancing}"`)
+		if (!this.httpMode && (this.httpRoutes || this.requestHeaders || this.responseHeaders))
+			throw new Error(`httpRoutes, requestHeaders and responseHeaders need httpMode`)
+		if (this.httpRoutes !== undefined && !Array.isArray(this.httpRoutes)) throw new Error(`httpRoutes has to be an array`)
+		if (this.udpPort !== undefined && this.virtualHosts && this.udpService === undefined)
+			throw new Error(`udpService has to be set when using udpPort with virtualHosts`)
+		if (this.tunnelTls && !(this.tunnelTls.key && this.tunnelTls.cert))
+			throw new Error(`tunnelTls needs key and cert of the proxy`)
+		this.allowedForwards = parseForwardTargets(this.forwardTargets)
+		if (this.publicPorts !== undefined && !this.secret && !(this.tunnelTls && this.tunnelTls.ca))
+			throw new Error(`publicPorts needs secret or tunnelTls with ca, only known clients can open ports`)
+		validateEncryptionOptions(this.tunnelEncryption)
 		this.encryptTunnel = canEncryptTunnel(this.tunnelEncryption)
+		this.allowedCompression = parseCompression(this.tunnelCompression)
+		// Raw TCP app may not speak HTTP, 503 would be garbage to it.
+		if (!this.httpMode && (options === undefined || options.unavailableResponse === undefined))
+			this.unavailableResponse = false
+		if (this.maintenanceResponse === undefined)
+			this.maintenanceResponse = this.unavailableResponse
+		else if (this.maintenanceResponse)
+			this.maintenanceResponse = {...defaultOptions.unavailableResponse, ...this.unavailableResponse, ...this.maintenanceResponse}
+		if (!this.virtualHosts) this.getService(DEFAULT_SERVICE)
+	}
+
+	getStats() {
+		return getStats(this)
+	}
+
+	// HTTP exchanges recorded so far, also those not written to harFile yet. Undefined without harFile.
+	getHar() {
+		if (this.har) return this.har.toHar()
+	}
+
+	getService(name) {
+		let service = this.services.get(name)
+		if (!service) {
+			service = new Service(name)
+			this.services.set(name, service)
+		}
+		return service
+	}
+
+	// Name of the service under which a tunnel with given hello message gets registered.
+	// Client with certificate (tunnelTls with ca) can only register under the name from the certificate.
+	getTunnelServiceName({service}, identity) {
+		if (identity !== undefined) {
+			if (service !== undefined && service !== identity)
+				throw `certificate is issued for "${identity}", not "${service}"`
+			service = identity
+		}
+		if (this.http && this.http.services.includes(service)) return service
+		if (this.udp && service !== undefined && service === this.udpService) return service
+		if (!this.virtualHosts) return DEFAULT_SERVICE
+		if (!service) throw `no service name`
+		if (this.virtualHosts !== true && !Object.values(this.virtualHosts).includes(service))
+			throw `unknown service "${service}"`
+		return service
+	}
+
+	// Clients with public port (hello with port) get it with their control connection, along with a token
+	// of the port. Their tunnels present the token to register under it.
+	async getHelloService(tunnel, hello) {
+		if (hello.port === undefined)
+			return this.getService(this.getTunnelServiceName(hello, getTunnelIdentity(tunnel)))
+		if (!this.ports) throw `proxy doesn't open public ports`
+		if (hello.control) {
+			const allocation = await this.ports.allocate(tunnel, hello)
+			tunnel[PORT_TOKEN] = allocation.token
+			return allocation.service
+		}
+		const service = this.ports.getService(hello.token)
+		if (!service) throw `public port is not open`
+		return service
+	}
+
+	// Finds service the request is meant for by TLS SNI or HTTP Host header.
+	// Responds with 4xx and returns undefined if there's no such service.
+	routeRequest = async request => {
+		if (!this.virtualHosts) return this.getService(DEFAULT_SERVICE)
+		let hostname
+		if (request.encrypted) {
+			hostname = normalizeHostname(request.servername)
+		} else {
+			let head = await peekHttpHead(request)
+			if (head === undefined) {
+				this.logger.socket(request, `not a HTTP request`)
+				respond(request, 400)
+				return
+			}
+			hostname = normalizeHostname(getHeader(head, 'host'))
+		}
+		let service = this.getVirtualHostService(hostname)
+		if (service === undefined) {
+			this.logger.socket(request, `unknown host`, {hostname})
+			// 421 Misdirected Request tells the browser it used certificate/connection meant for another host.
+			respond(request, request.encrypted ? 421 : 404)
+		}
+		return service
+	}
+
+	getVirtualHostService(hostname) {
+		if (!this.virtualHosts) return this.getService(DEFAULT_SERVICE)
+		let name = this.virtualHosts === true ? hostname : this.virtualHosts[hostname]
+		if (name !== undefined) return this.services.get(name)
 	}
 
 	startProxyServer = () => {
-		let {proxyPort, cert, key} = this
+		let {proxyPort, certificateStore} = this
 		let serverType
-		if (cert && key) {
-			this.proxy = tls.createServer({cert, key}, this.onProxyRequest)
+		if (certificateStore) {
+			this.proxy = tls.createServer(certificateStore.serverOptions, this.onProxyRequest)
 			serverType = 'HTTPS/SSL'
 		} else {
 			this.proxy = net.createServer(this.onProxyRequest)
 			serverType = 'HTTP/TCP'
 		}
-		if (logLevel >= INFO) this.proxy.on('listening', () => console.log(`${serverType} Proxy server is listening on port ${proxyPort}`))
-		this.proxy.on('error', this.restartProxyServer)
-		this.proxy.on('close', this.restartProxyServer)
-		this.proxy.listen(proxyPort)
+		const proxy = this.proxy
+		proxy.on('listening', () => this.logger.info(`${serverType} Proxy server is listening on port ${proxyPort}`))
+		// Only a server that is listening gets restarted, failing to listen (port in use, ...) rejects ready.
+		const listening = promiseListening(proxy).then(() => {
+			proxy.on('error', this.restartProxyServer)
+			proxy.on('close', this.restartProxyServer)
+		})
+		proxy.listen(proxyPort)
+		return listening
 	}
 
 	startTunnelServer = () => {
-		let {tunnelPort} = this
-		let tunnel = this.tunnel = net.createServer(this.onTunnelOpened)
-		if (logLevel >= INFO) {
-			let message = [
-				`HTTP/TCP Tunnel server`,
-				this.encryptTunnel && 'with custom encryption',
-				`is listening on port ${tunnelPort}`,
-			].filter(a => a).join(' ')
-			tunnel.on('listening', () => log(INFO, message))
-		}
-		tunnel.on('error', this.restartTunnelServer)
-		tunnel.on('close', this.restartTunnelServer)
+		let {tunnelPort, tunnelTls} = this
+		let tunnel
+		if (tunnelTls) {
+			// Client certificates are required when there's CA to verify them with.
+			const {key, cert, ca, crl} = tunnelTls
+			const verifyClients = ca !== undefined
+			tunnel = tls.createServer({key, cert, ca, crl, requestCert: verifyClients, rejectUnauthorized: verifyClients}, this.onTunnelOpened)
+			tunnel.on('tlsClientError', this.onTunnelTlsError)
+		} else {
+			tunnel = net.createServer(this.onTunnelOpened)
+		}
+		this.tunnel = tunnel
+		let message = [
+			tunnelTls ? `TLS Tunnel server` : `HTTP/TCP Tunnel server`,
+			tunnelTls && tunnelTls.ca && 'with client certificates',
+			this.encryptTunnel && 'with custom encryption',
+			`is listening on port ${tunnelPort}`,
+		].filter(a => a).join(' ')
+		tunnel.on('listening', () => this.logger.info(message))
+		const listening = promiseListening(tunnel).then(() => {
+			tunnel.on('error', this.restartTunnelServer)
+			tunnel.on('close', this.restartTunnelServer)
+		})
 		tunnel.listen(tunnelPort)
+		return listening
 	}
 
-	restartProxyServer = () => {
-		log(INFO, `Restarting proxy server`)
-		this.proxy.close(this.startProxyServer)
+	// Reads the certificates again (those given as file paths) and uses them for new connections,
+	// without restarting the proxy. Open connections and tunnels are not affected.
+	// Throws and keeps the current certificates if the new ones can't be loaded.
+	reloadCertificates() {
+		if (!this.certificateStore) throw new Error(`Proxy server doesn't use certificates`)
+		this.certificateStore.load()
+		if (this.certificateStore.defaults)
+			this.proxy.setSecureContext(this.certificateStore.serverOptions)
+		this.logger.info(`Certificates reloaded`)
+		this.emit('certificates-reloaded')
+	}
+
+	onCertificatesChanged = () => {
+		try {
+			this.reloadCertificates()
+		} catch(err) {
+			this.logger.error(`Couldn't reload certificates`, {error: err.message})
+			this.emitError(new Error(`Couldn't reload certificates: ${err.message}`))
+		}
 	}
 
-	restartTunnelServer = () => {
-		log(INFO, `Restarting tunnel server`)
-		this.tunnel.close(this.startTunnelServer)
+	// Client without valid certificate, or not speaking TLS at all.
+	onTunnelTlsError = (err, socket) => {
+		this.logger.verbose(`Tunnel TLS handshake failed`, {error: err.message})
+		this.handshakeFailures++
+		this.emitError(new Error(`Couldn't open tunnel: ${err.message}`))
+		socket.destroy()
 	}
 
-	onProxyRequest = request => {
+	// Server failing with an error gets both 'error' and 'close', but is restarted once.
+	restartProxyServer = err => {
+		if (this.closing || this.proxy[RESTARTING]) return
+		this.proxy[RESTARTING] = true
+		if (err instanceof Error) this.emitError(err)
+		this.logger.info(`Restarting proxy server`)
+		this.proxy.close(() => this.startProxyServer().catch(err => this.restartLater(this.restartProxyServer, err)))
+	}
+
+	restartTunnelServer = err => {
+		if (this.closing || this.tunnel[RESTARTING]) return
+		this.tunnel[RESTARTING] = true
+		if (err instanceof Error) this.emitError(err)
+		this.logger.info(`Restarting tunnel server`)
+		this.tunnel.close(() => this.startTunnelServer().catch(err => this.restartLater(this.restartTunnelServer, err)))
+	}
+
+	// Restarted server couldn't listen (i.e. port taken meanwhile), tries again in a while.
+	restartLater(restart, err) {
+		this.emitError(err)
+		const timer = setTimeout(() => {
+			this.restartTimers.delete(timer)
+			restart()
+		}, RESTART_DELAY)
+		this.restartTimers.add(timer)
+	}
+
+	// Requests to public ports opened for clients (see ports.mjs) come with the service of the port.
+	onProxyRequest = async (request, service) => {
 		request[TYPE] = 'request'
-		logSocket(request, `incomming request`)
+		this.logger.socket(request, `incomming request`)
+
+		// Dropped before reading anything from the socket.
+		const reason = this.access && this.access.checkConnection(request)
+		if (reason) {
+			this.denyRequest(request.remoteAddress, reason)
+			return request.destroy()
+		}
 
+		if (this.httpMode && service === undefined) {
+			if (this.requestTimeout !== undefined) request.setTimeout(this.requestTimeout)
+			return this.http.handleConnection(request)
+		}
+
+		this.watchRequest(request)
+		if (this.access && this.access.checksRequests) {
+			// Without HTTP mode only the first request of the connection can be checked.
+			const head = this.access.auth ? await peekHttpHead(request) : undefined
+			const denial = this.checkRequestAccess(request.remoteAddress, head && getHeader(head, 'authorization'))
+			if (denial) return respond(request, denial.status, undefined, denial.headers)
+			if (request.destroyed) return
+		}
+		if (service === undefined) service = await this.routeRequest(request)
+		if (service === undefined || request.destroyed) return
+		this.dispatchRequest(request, service)
+
+		if (this.requestTimeout !== undefined && request.timeout === undefined)
+			request.setTimeout(this.requestTimeout)
+	}
+
+	// Returns response to send instead of forwarding the request (see AccessControl.checkRequest).
+	checkRequestAccess(address, authorization) {
+		if (!this.access || !this.access.checksRequests) return
+		const denial = this.access.checkRequest(address, authorization)
+		if (denial) this.denyRequest(address, denial.reason)
+		return denial
+	}
+
+	denyRequest(address, reason) {
+		address = normalizeAddress(address)
+		this.deniedRequests++
+		this.logger.verbose(`Request denied`, {address, reason})
+		this.emit('request-denied', address, reason)
+	}
+
+	watchRequest(request) {
 		// If 'error' event is unhandled, the app crashes. But we don't need to do anything about it since
 		// we're already listening to 'close' event which is fired afterwards.
 		const close = () => this.onRequestClosed(request)
@@ -80,20 +346,66 @@ class ProxyServer {
 		request.once('close',   close)
 
 		// logging after all corresponding hnadlers to have updated queue number in the logs.
-		logSocketAll(request, this)
+		this.logSocketAll(request)
+	}
+
+	// Hands the request to a client with a tunnel ready, or puts it in the queue.
+	dispatchRequest(request, service) {
+		if (this.closing) return killSocket(request)
+		request[SERVICE] = service
+		service.counters.requests++
+		this.emit('request', request, service.name)
 
-		if (this.tunnelPool.length)
-			this.pipeSockets(request, this.tunnelPool.shift())
+		const overQuota = this.bandwidth && this.bandwidth.checkQuota(service)
+		if (overQuota) return this.rejectOverQuota(request, overQuota)
+		if (service.appDown) return this.rejectRequest(request, 'app is down', this.maintenanceResponse)
+
+		const client = this.chooseClient(service, request)
+		if (client)
+			this.serveRequest(request, client)
 		else
-			this.requestQueue.push(request)
+			this.enqueueRequest(request)
+	}
 
-		if (this.requestTimeout !== undefined && request.timeout === undefined)
-			request.setTimeout(this.requestTimeout)
+	// Client the visitor sticks to (see stickySessions), or one picked by loadBalancing among those with a tunnel ready.
+	// Returns undefined if the request has to wait in the queue (also for the client it sticks to).
+	chooseClient(service, request) {
+		const stuck = this.sticky && this.sticky.getClient(service, request)
+		// Client without multiplexed tunnels would never serve request with stream metadata.
+		if (stuck && (request[STREAM_META] === undefined || stuck.muxPool.length))
+			return stuck.canServe(request) ? stuck : undefined
+		const clients = [...service.clients.values()].filter(client => client.canServe(request))
+		return pickClient(clients, this.loadBalancing)
+	}
+
+	// Passes the request to a pooled tunnel of the client, or to a stream of its multiplexed tunnel.
+	// Requests with stream metadata (HTTP mode routes with appPort) can only be served by multiplexed tunnels.
+	serveRequest(request, client) {
+		request[CLIENT] = client
+		client.activeRequests++
+		client.served++
+		if (this.sticky) this.sticky.remember(request[SERVICE], request, client)
+		if (client.tunnelPool.length && request[STREAM_META] === undefined) {
+			client.tunnelsTaken++
+			this.pipeSockets(request, client.tunnelPool.shift())
+		} else {
+			this.pipeSockets(request, client.openStream(request[STREAM_META]), false)
+		}
+	}
+
+	// Queued requests (oldest first) are served by clients that can take them now.
+	serveQueue(service) {
+		for (let request of [...service.requestQueue]) {
+			const client = this.chooseClient(service, request)
+			if (!client) continue
+			removeFromArray(service.requestQueue, request)
+			this.serveRequest(request, client)
+		}
 	}
 
 	onTunnelOpened = async tunnel => {
 		tunnel[TYPE] = 'tunnel'
-		logSocket(tunnel, `tunnel opened`)
+		this.logger.socket(tunnel, `tunnel opened`)
 
 		// If 'error' event is unhandled, the app crashes. But we don't need to do anything about it since
 		// we're already listening to 'close' event which is fired afterwards.
@@ -104,105 +416,598 @@ class ProxyServer {
 		tunnel.once('close',   close)
 
 		// logging after all corresponding hnadlers to have updated queue number in the logs.
-		logSocketAll(tunnel, this)
+		this.logSocketAll(tunnel)
 
+		let hello
 		try {
 			if (this.secret)
 				await verifyReceiverTunnel(tunnel, this)
-			await this.acceptTunnel(tunnel)
+			// Client from before the hello is a plain tunnel of the default service.
+			hello = await readHello(tunnel, this.challengeTimeout) || {}
+			if (hello.version !== undefined && !(hello.version >= MIN_PROTOCOL_VERSION))
+				throw `client speaks protocol version ${hello.version}, at least ${MIN_PROTOCOL_VERSION} is needed`
+			let service = await this.getHelloService(tunnel, hello)
+			if (hello.udp && (!this.udp || this.udp.service !== service))
+				throw this.udp ? `UDP is forwarded to service "${this.udp.service.name}"` : `proxy doesn't forward UDP`
+			if (hello.forward && !isForwardAllowed(this.allowedForwards, hello.forward))
+				throw `forwarding to ${hello.forward.host}:${hello.forward.port} is not allowed`
+			if (hello.weight !== undefined && !(typeof hello.weight === 'number' && hello.weight > 0))
+				throw `invalid weight "${hello.weight}"`
+			// Unencrypted control messages could be forged by anyone on the way (drain, health, release).
+			if (hello.control && this.encryptTunnel && !(hello.version >= ENCRYPTED_CONTROL_VERSION))
+				throw `control connection has to be encrypted, client needs protocol version ${ENCRYPTED_CONTROL_VERSION}`
+			if (hello.version !== undefined) {
+				tunnel[ACCEPTED] = true
+				if (!hello.control) tunnel[COMPRESSION] = pickCompression(this.allowedCompression, hello.compression)
+				await writeMessage(tunnel, {type: 'accepted', version: PROTOCOL_VERSION, port: service.port, token: tunnel[PORT_TOKEN], compression: tunnel[COMPRESSION]})
+			}
+			if (this.tunnelEncryption.mode === ENCRYPTION.HANDSHAKE)
+				tunnel[SESSION] = await handshakeTunnel(tunnel, this.tunnelEncryption, false)
+			if (this.closing || tunnel.destroyed) return killSocket(tunnel)
+			if (hello.control)
+				return this.acceptControlConnection(tunnel, service, hello)
+			if (hello.forward)
+				return this.acceptForward(tunnel, hello.forward)
+			tunnel[SERVICE] = service
+			tunnel[CLIENT] = this.getServiceClient(service, hello)
+			if (hello.udp)
+				this.acceptUdpTunnel(tunnel)
+			else if (hello.multiplex)
+				this.acceptMultiplexedTunnel(tunnel)
+			else
+				this.acceptTunnel(tunnel)
 		} catch(err) {
-			console.error(`Couldn't open tunnel:`, err)
-			tunnel.end()
+			this.logger.error(`Couldn't open tunnel`, {...socketFields(tunnel), error: String(err)})
+			this.handshakeFailures++
+			this.emitError(new Error(`Couldn't open tunnel: ${err}`))
+			// Clients speaking the protocol are told why, so they don't keep trying in vain.
+			if (hello && hello.version !== undefined && !tunnel[ACCEPTED])
+				tunnel.end(encodeMessage({type: 'rejected', reason: String(err)}))
+			else
+				tunnel.end()
 		}
 	}
 
 	acceptTunnel(tunnel) {
-		logSocket(tunnel, 'accepted | tunnelPool:', this.tunnelPool.length + 1, 'requestQueue:', this.requestQueue.length)
+		const service = tunnel[SERVICE]
+		const client = tunnel[CLIENT]
+		this.logger.socket(tunnel, 'accepted', {pool: client.tunnelPool.length + 1})
+
+		setupLongLivedSocket(tunnel)
+		this.emit('tunnel-open', service.name)
+		if (!service.connected)
+			this.onServiceConnected(service, `${service.label} connected (first tunnel connected)`)
+		service.tunnels.add(tunnel)
+		client.tunnels.add(tunnel)
+
+		this.logger.socket(tunnel, service.requestQueue.length ? 'serving req queue' : 'added to pool')
+		client.tunnelPool.push(tunnel)
+		this.serveQueue(service)
+	}
+
+	acceptMultiplexedTunnel(tunnel) {
+		const service = tunnel[SERVICE]
+		const client = tunnel[CLIENT]
+		this.logger.socket(tunnel, 'accepted multiplexed')
 
 		setupLongLivedSocket(tunnel)
-		if (this.tunnelPool.length === 0)
-			log(INFO, `App connected (first tunnel connected)`)
+		this.emit('tunnel-open', service.name)
+		if (!service.connected)
+			this.onServiceConnected(service, `${service.label} connected (multiplexed tunnel connected)`)
+		service.tunnels.add(tunnel)
+		client.tunnels.add(tunnel)
 
-		if (this.requestQueue.length) {
-			logSocket(tunnel, 'serving req queue')
-			this.pipeSockets(this.requestQueue.shift(), tunnel)
+		const channel = this.layerTunnel(tunnel)
+		const multiplexer = tunnel[MULTIPLEXER] = new Multiplexer(tunnel, {...channel, logger: this.logger})
+		multiplexer.once('close', () => killSocket(tunnel))
+		multiplexer.on('stream-close', this.onStreamClosed)
+		client.muxPool.push(multiplexer)
+
+		if (service.requestQueue.length)
+			this.logger.socket(tunnel, 'serving req queue')
+		this.serveQueue(service)
+	}
+
+	acceptUdpTunnel(tunnel) {
+		const service = tunnel[SERVICE]
+		this.logger.socket(tunnel, 'accepted UDP tunnel')
+
+		setupLongLivedSocket(tunnel)
+		this.emit('tunnel-open', service.name)
+		if (!service.connected)
+			this.onServiceConnected(service, `${service.label} connected (UDP tunnel connected)`)
+		service.tunnels.add(tunnel)
+		tunnel[CLIENT].tunnels.add(tunnel)
+
+		this.udp.addTunnel(tunnel, this.layerTunnel(tunnel))
+	}
+
+	// Connection made to client's local port. The proxy connects to the target and passes the data both ways.
+	acceptForward(tunnel, {host, port}) {
+		this.logger.socket(tunnel, `forwarding`, {host, port})
+		setupLongLivedSocket(tunnel)
+		this.forwards.add(tunnel)
+		tunnel.once('close', () => this.forwards.delete(tunnel))
+		this.emit('forward', host, port)
+
+		const target = net.connect({host, port})
+		target.once('error', err => this.logger.verbose(`Couldn't connect to forward target`, {host, port, error: err.message}))
+		if (tunnel[COMPRESSION]) {
+			deferredSocketDestruction(target, tunnel)
+			const channel = this.layerTunnel(tunnel)
+			target
+				.pipe(channel.writable) // Forward the target's response through tunnel to the client
+			channel.readable
+				.pipe(target)           // Forward what the client sends to the target
+		} else if (this.encryptTunnel) {
+			mutuallyAssuredSocketDestruction(target, tunnel)
+			const {cipher, decipher} = createCipher(this.tunnelEncryption, tunnel[SESSION])
+			// Tampered data can't be decrypted. Drop the connection.
+			decipher.once('error', () => killSocket(tunnel))
+			target
+				.pipe(cipher)   // Encrypt the target's response
+				.pipe(tunnel)   // Forward it through tunnel to the client
+				.pipe(decipher) // Decrypt what the client sends
+				.pipe(target)   // Forward it to the target
+		} else {
+			mutuallyAssuredSocketDestruction(target, tunnel)
+			target
+				.pipe(tunnel) // Forward the target's response through tunnel to the client
+				.pipe(target) // Forward what the client sends to the target
+		}
+	}
+
+	// Encryption and compression layered over the whole tunnel (compressed data is encrypted). Returns {readable, writable}
+	// to be used instead of the tunnel socket, or {} if the tunnel is neither encrypted nor compressed.
+	layerTunnel(tunnel) {
+		let channel = this.encryptTunnel ? encryptSocket(tunnel, this.tunnelEncryption, tunnel[SESSION]) : {}
+		if (tunnel[COMPRESSION])
+			channel = compressChannel(tunnel, channel, tunnel[COMPRESSION])
+		return channel
+	}
+
+	// Control connection of a client. Proxy periodically reports demand for tunnels
+	// and the client sizes its pool accordingly. Client asks to release excess idle tunnels, which can only be
+	// done safely here, where it's known that the tunnel isn't about to be handed to a request.
+	// Clients with protocol version send heartbeats and get closed when they stop. Demand sent every second
+	// is the heartbeat of the proxy. Messages are encrypted like the tunnels.
+	acceptControlConnection(socket, service, hello) {
+		const {client: id, version} = hello
+		this.logger.socket(socket, 'accepted control connection', {client: id, version})
+		setupLongLivedSocket(socket)
+		if (version !== undefined) socket[LAST_SEEN] = Date.now()
+		const client = socket[CLIENT] = this.getServiceClient(service, hello)
+		const channel = this.layerTunnel(socket)
+		socket[CONTROL_CHANNEL] = channel.writable || socket
+		service.controls.add(socket)
+		client.controls.add(socket)
+		socket.once('close', () => {
+			this.updateAppHealth(service, () => {
+				service.controls.delete(socket)
+				service.downReports.delete(socket)
+			})
+			client.controls.delete(socket)
+			this.releaseClient(service, client)
+		})
+		readMessages(channel.readable || socket, message => {
+			if (socket[LAST_SEEN] !== undefined) socket[LAST_SEEN] = Date.now()
+			if (message.type === 'release')
+				this.releaseTunnels(service, client, message.count)
+			if (message.type === 'health')
+				this.onAppHealth(socket, service, message)
+		})
+		this.sendDemand(service)
+	}
+
+	// Client with healthCheck reports whether the app is up.
+	onAppHealth(socket, service, {healthy, reason}) {
+		this.logger.socket(socket, healthy ? 'app reported up' : 'app reported down', {reason})
+		this.updateAppHealth(service, () => {
+			if (healthy)
+				service.downReports.delete(socket)
+			else
+				service.downReports.set(socket, String(reason || 'app is down'))
+		})
+	}
+
+	// While all clients of the service report the app is down, requests get maintenanceResponse right away
+	// instead of waiting in the queue for tunnels that won't come.
+	updateAppHealth(service, update) {
+		const wasDown = service.appDown
+		update()
+		if (service.appDown === wasDown) return
+		if (service.appDown) {
+			const [reason] = service.downReports.values()
+			this.logger.info(`${service.label} is down`, {service: service.name, reason})
+			this.emit('app-down', service.name, reason)
+			for (let request of [...service.requestQueue])
+				this.rejectRequest(request, 'app is down', this.maintenanceResponse)
+		} else {
+			this.logger.info(`${service.label} is no longer down`, {service: service.name})
+			this.emit('app-up', service.name)
+		}
+	}
+
+	// Asks clients of the service (or of all services) to close their idle tunnels and reconnect later,
+	// i.e. to another proxy. Tunnels serving requests are left to finish. Only clients with control connection get it.
+	drainClients(name, reason = 'proxy asked clients to drain') {
+		for (let service of this.services.values()) {
+			if (name !== undefined && service.name !== name) continue
+			if (service.controls.size)
+				this.logger.info(`${service.label} asked to drain`, {service: service.name, reason})
+			for (let socket of service.controls)
+				sendControlMessage(socket, {type: 'drain', reason})
+		}
+	}
+
+	checkHeartbeats() {
+		const timeout = this.heartbeatInterval * HEARTBEAT_MISSES
+		for (let service of this.services.values()) {
+			for (let socket of service.controls) {
+				if (socket[LAST_SEEN] === undefined || Date.now() - socket[LAST_SEEN] < timeout) continue
+				this.logger.info(`${service.label} client stopped sending heartbeats`, socketFields(socket))
+				socket.destroy()
+			}
+		}
+	}
+
+	releaseTunnels(service, client, count) {
+		count = Math.min(count, client.tunnelPool.length)
+		if (count > 0)
+			this.logger.verbose(`${service.label} releasing idle tunnels`, {service: service.name, client: client.id, count})
+		for (let tunnel of client.tunnelPool.splice(0, count))
+			killSocket(tunnel)
+	}
+
+	onDemandTick = () => {
+		this.checkHeartbeats()
+		for (let service of this.services.values()) {
+			for (let client of service.clients.values())
+				client.updateDrainRate(DEMAND_INTERVAL / 1000)
+			this.sendDemand(service)
+		}
+	}
+
+	// Every client is asked for its share of the queued requests. Drained clients only keep their pool at minimum.
+	sendDemand(service) {
+		if (service.controls.size === 0) return
+		const serving = [...service.clients.values()].filter(client => client.controls.size && !client.draining).length
+		for (let socket of service.controls) {
+			const client = socket[CLIENT]
+			sendControlMessage(socket, {
+				type: 'demand',
+				queued: client.draining ? 0 : Math.ceil(service.requestQueue.length / serving),
+				pooled: client.tunnelPool.length,
+				drainRate: client.draining ? 0 : client.drainRate,
+			})
+		}
+	}
+
+	// Record of the client a tunnel or control connection comes from. Created with its first connection,
+	// removed with the last one (see releaseClient).
+	getServiceClient(service, {client: id, weight = 1}) {
+		let client = service.clients.get(id)
+		if (!client) {
+			client = new ServiceClient(id)
+			client.draining = this.drainedClients.has(id)
+			service.clients.set(id, client)
+			if (service.clients.size > 1)
+				this.logger.info(`${service.label} has another client`, {service: service.name, client: id, clients: service.clients.size})
+		}
+		client.weight = weight
+		return client
+	}
+
+	// Forgets the client once all its connections are closed. Visitors sticking to it and their queued requests
+	// move to other clients.
+	releaseClient(service, client) {
+		if (!client.connected) this.serveQueue(service)
+		if (!client.gone || service.clients.get(client.id) !== client) return
+		service.clients.delete(client.id)
+		if (service.clients.size > 0)
+			this.logger.info(`${service.label} client left`, {service: service.name, client: client.id, clients: service.clients.size})
+	}
+
+	// Stops sending new requests to the client (in all its services), i.e. before maintenance of its machine,
+	// while other clients of the services keep serving. Requests in flight finish, then 'client-drained' is emitted.
+	// Client stays connected and drained (also when it reconnects) until resumeClient().
+	drainClient(id) {
+		this.drainedClients.add(id)
+		for (let service of this.services.values()) {
+			const client = service.clients.get(id)
+			if (!client || client.draining) continue
+			client.draining = true
+			this.logger.info(`${service.label} client drained`, {service: service.name, client: id, activeRequests: client.activeRequests})
+			this.serveQueue(service)
+			if (client.activeRequests === 0)
+				this.emit('client-drained', service.name, id)
+		}
+	}
+
+	resumeClient(id) {
+		this.drainedClients.delete(id)
+		for (let service of this.services.values()) {
+			const client = service.clients.get(id)
+			if (!client || !client.draining) continue
+			client.draining = false
+			this.logger.info(`${service.label} client resumed`, {service: service.name, client: id})
+			this.serveQueue(service)
+		}
+	}
+
+	onServiceConnected(service, message) {
+		this.logger.info(message, {service: service.name})
+		if (service.everConnected) service.counters.reconnects++
+		service.everConnected = true
+		this.emit('connected', service.name)
+	}
+
+	enqueueRequest(request) {
+		const {requestQueue} = request[SERVICE]
+		if (this.maxQueueLength !== undefined && requestQueue.length >= this.maxQueueLength)
+			return this.rejectRequest(request, 'queue is full')
+		request[QUEUED_AT] = Date.now()
+		requestQueue.push(request)
+		// Let the client know right away so it can open more tunnels.
+		this.sendDemand(request[SERVICE])
+		if (this.queueTimeout !== undefined)
+			request[QUEUE_TIMEOUT] = setTimeout(() => this.rejectRequest(request, 'waited too long in queue'), this.queueTimeout)
+	}
+
+	// Request couldn't get a tunnel because the app is offline or overloaded (or down, with maintenanceResponse).
+	rejectRequest(request, reason, response = this.unavailableResponse) {
+		const service = request[SERVICE]
+		removeFromArray(service.requestQueue, request)
+		service.counters.rejected++
+		this.logger.socket(request, `rejected`, {reason})
+		this.logger.verbose(`${service.label} unavailable, request rejected`, {service: service.name, reason})
+		this.emit('request-rejected', request, service.name, reason)
+		if (response) {
+			const {status, retryAfter, contentType, body} = response
+			const headers = {'Content-Type': contentType}
+			if (retryAfter !== undefined) headers['Retry-After'] = retryAfter
+			respond(request, status, body, headers)
 		} else {
-			logSocket(tunnel, 'added to pool')
-			this.tunnelPool.push(tunnel)
+			killSocket(request)
 		}
 	}
 
+	rejectOverQuota(request, {status, reason, body, headers}) {
+		const service = request[SERVICE]
+		service.counters.rejected++
+		this.logger.verbose(`${service.label} is over quota, request rejected`, {service: service.name, reason})
+		this.emit('request-rejected', request, service.name, reason)
+		// Raw TCP services get no HTTP response, like with unavailableResponse.
+		if (this.httpMode)
+			respond(request, status, body, headers)
+		else
+			killSocket(request)
+	}
+
 	onRequestClosed(request) {
+		clearTimeout(request[QUEUE_TIMEOUT])
 		killSocket(request)
-		removeFromArray(this.requestQueue, request)
+		if (request[SERVICE])
+			removeFromArray(request[SERVICE].requestQueue, request)
+		if (this.activeRequests.delete(request)) {
+			const {counters} = request[SERVICE]
+			counters.bytesIn  += request.bytesRead
+			counters.bytesOut += request.bytesWritten
+		}
+		const client = request[CLIENT]
+		if (client && !request[CLOSED]) {
+			request[CLOSED] = true
+			client.activeRequests--
+			if (client.draining && client.activeRequests === 0 && request[SERVICE].clients.get(client.id) === client)
+				this.emit('client-drained', request[SERVICE].name, client.id)
+		}
+		if (this.closing && this.activeRequests.size === 0)
+			this.emit('drained')
 	}
 
 	onTunnelClosed(tunnel) {
 		killSocket(tunnel)
-		const prevLength = this.tunnelPool.length // prevents spamming the "all tunnels ..." message
-		removeFromArray(this.tunnelPool, tunnel)
-		if (this.tunnelPool.length === 0 && prevLength > 0)
-			log(INFO, `App diconnected (all tunnels are closed, tunnel server remains listening)`)
+		const service = tunnel[SERVICE]
+		if (!service || tunnel[CLOSED]) return
+		tunnel[CLOSED] = true
+		const wasConnected = service.connected // prevents spamming the "all tunnels ..." message
+		const client = tunnel[CLIENT]
+		removeFromArray(client.tunnelPool, tunnel)
+		removeFromArray(client.muxPool, tunnel[MULTIPLEXER])
+		client.tunnels.delete(tunnel)
+		service.tunnels.delete(tunnel)
+		this.releaseClient(service, client)
+		this.emit('tunnel-close', service.name)
+		if (!service.connected && wasConnected) {
+			this.logger.info(`${service.label} diconnected (all tunnels are closed, tunnel server remains listening)`, {service: service.name})
+			this.emit('disconnected', service.name)
+		}
+	}
+
+	// Multiplexed tunnels are kept open while closing, until their last stream is done.
+	onStreamClosed = multiplexer => {
+		if (this.closing && multiplexer.streamCount === 0)
+			killSocket(multiplexer.socket)
 	}
 
-	pipeSockets(request, tunnel) {
-		mutuallyAssuredSocketDestruction(request, tunnel)
+	emitError(err) {
+		// Unhandled 'error' event would crash the process.
+		if (this.listenerCount('error') > 0)
+			this.emit('error', err)
+	}
+
+	// Stops accepting new requests and tunnels, lets requests in flight finish (up to closeTimeout), then closes everything.
+	close() {
+		if (this.closePromise) return this.closePromise
+		this.closing = true
+		this.logger.info(`Closing proxy server`)
+		clearInterval(this.demandTimer)
+		this.restartTimers.forEach(clearTimeout)
+		this.proxy.close()
+		this.tunnel.close()
+		this.drainClients(undefined, 'proxy is shutting down')
+		if (this.metrics) this.metrics.close()
+		if (this.udp) this.udp.close()
+		if (this.ports) this.ports.close()
+		if (this.access) this.access.close()
+		if (this.sticky) this.sticky.close()
+		if (this.certificateStore) this.certificateStore.close()
+		if (this.http) this.http.closeIdleConnections()
+		for (let service of this.services.values()) {
+			service.requestQueue.forEach(killSocket)
+			service.tunnelPool.forEach(killSocket)
+			service.controls.forEach(killSocket)
+			for (let multiplexer of service.muxPool)
+				this.onStreamClosed(multiplexer)
+		}
+		const drained = this.activeRequests.size === 0 ? Promise.resolve() : promiseEvent(this, 'drained')
+		return this.closePromise = Promise.race([drained, promiseTimeout(this.closeTimeout)]).then(async () => {
+			for (let request of this.activeRequests)
+				request.destroy()
+			if (this.http) this.http.close()
+			for (let tunnel of this.forwards)
+				tunnel.destroy()
+			for (let service of this.services.values())
+				for (let tunnel of service.tunnels)
+					tunnel.destroy()
+			if (this.har) await this.har.close()
+			this.logger.info(`Proxy server closed`)
+			this.emit('close')
+		})
+	}
 
-		if (this.encryptTunnel) {
+	// Streams of multiplexed tunnel are not encrypted (nor compressed) individually, the whole connection is.
+	pipeSockets(request, tunnel, encrypt = this.encryptTunnel) {
+		clearTimeout(request[QUEUE_TIMEOUT])
+		this.activeRequests.add(request)
+		const {counters} = request[SERVICE]
+		counters.served++
+		counters.queueWaitSum += request[QUEUED_AT] ? Date.now() - request[QUEUED_AT] : 0
+		counters.queueWaitCount++
+		// HTTP mode adds the headers by itself.
+		const source = this.forwardedHeaders && !this.httpMode ? this.addForwardedHeaders(request) : request
+		// Plain data of the response.
+		let response
+
+		if (tunnel[COMPRESSION]) {
+			// Compressed (and possibly encrypted) tunnel
+			deferredSocketDestruction(request, tunnel)
+			const channel = this.layerTunnel(tunnel)
+			if (this.proxyProtocol) channel.writable.write(createProxyHeader(request, this.proxyProtocol))
+			this.limit(source, UPLOAD, request)
+				.pipe(channel.writable) // Forward the request through tunnel to client
+			this.limit(channel.readable, DOWNLOAD, request)
+				.pipe(request)          // Forward the response back to requester
+			response = channel.readable
+		} else if (encrypt) {
+			mutuallyAssuredSocketDestruction(request, tunnel)
 			// Encrypted tunnel
-			const {cipher, decipher} = createCipher(this.tunnelEncryption)
-			request
+			const {cipher, decipher} = createCipher(this.tunnelEncryption, tunnel[SESSION])
+			// Tampered data can't be decrypted. Drop the connection.
+			decipher.once('error', () => killSocket(tunnel))
+			if (this.proxyProtocol) cipher.write(createProxyHeader(request, this.proxyProtocol))
+			this.limit(source, UPLOAD, request)
 				.pipe(cipher)   // Encrypt the request
 				.pipe(tunnel)   // Forward encrypted request through tunnel to client
 				.pipe(decipher) // Decrypt received response from client
+			this.limit(decipher, DOWNLOAD, request)
 				.pipe(request)  // Forward the response back to requester
+			response = decipher
 		} else {
 			// Raw tunnel
-			request
+			mutuallyAssuredSocketDestruction(request, tunnel)
+			if (this.proxyProtocol) tunnel.write(createProxyHeader(request, this.proxyProtocol))
+			this.limit(source, UPLOAD, request)
 				.pipe(tunnel)  // Forward the request through tunnel to client
+			this.limit(tunnel, DOWNLOAD, request)
 				.pipe(request) // Forward response from client through tunnel back to requester
+			response = tunnel
 		}
+		// Rewriter waits for the app's answer to upgrade requests.
+		if (source !== request) source.watchResponses(response)
+		if (this.har) this.har.capture(request, source, response)
 	}
 
-}
+	// Throttles one direction of the request by bandwidth limits (see bandwidth.mjs). Returns what to pipe further.
+	limit(readable, direction, request) {
+		if (!this.bandwidth) return readable
+		return this.bandwidth.throttle(readable, direction, request[SERVICE])
+	}
 
-const logSocketAll = (socket, {tunnelPool, requestQueue}) => {
-	if (logLevel >= DEBUG) {
-		socket.once('error',  err => logSocket(socket, '#error:', err))
-		socket.once('end',     () => logSocket(socket, '#end'))
-		socket.once('timeout', () => logSocket(socket, '#timeout'))
-		socket.once('close',   () => logSocket(socket, '#close'))
-		socket.on('data', buffer => {
-			let firstLine = buffer.slice(0, 50).toString().split('\n')[0]
-			logSocket(socket, '#data:', firstLine)
-		})
-	} else if (logLevel >= VERBOSE) {
-		const socketId = getDebugId(socket)
-		const getSocketInfo = () => `${socketId} (${tunnelPool.length.toString()} ${requestQueue.length.toString()})`
-		Promise.race([
-			promiseEvent(socket, 'error'),
-			promiseEvent(socket, 'end'),
-			promiseEvent(socket, 'timeout'),
-			promiseEvent(socket, 'close'),
-		]).then(() => {
-			log(VERBOSE, getSocketInfo(), 'closing', socket[TYPE])
-		})
-		if (socket[TYPE] === 'request') {
-			socket.once('data', buffer => {
-				let string = buffer.slice(0, 200).toString()
-				let firstLine = string.slice(0, string.indexOf('\n'))
-				let httpIndex = firstLine.indexOf(' HTTP/')
-				if (httpIndex !== -1)
-					log(VERBOSE, getSocketInfo(), firstLine.slice(0, Math.min(60, httpIndex)))
-				else
-					log(VERBOSE, getSocketInfo(), 'UNKNOWN REQUEST', string)
+	logSocketAll(socket) {
+		const {logger} = this
+		if (logger.level >= DEBUG) {
+			socket.once('error',  err => logger.socket(socket, '#error', {error: err.message}))
+			socket.once('end',     () => logger.socket(socket, '#end'))
+			socket.once('timeout', () => logger.socket(socket, '#timeout'))
+			socket.once('close',   () => logger.socket(socket, '#close'))
+			// Listening to 'data' right away would switch the socket to flowing mode and steal the challenge and hello
+			// from the tunnel. Wait until it's piped.
+			socket.once('resume', () => socket.on('data', buffer => {
+				let firstLine = buffer.slice(0, 50).toString().split('\n')[0]
+				logger.socket(socket, '#data', {firstLine})
+			}))
+		} else if (logger.level >= VERBOSE) {
+			Promise.race([
+				promiseEvent(socket, 'error'),
+				promiseEvent(socket, 'end'),
+				promiseEvent(socket, 'timeout'),
+				promiseEvent(socket, 'close'),
+			]).then(() => {
+				logger.verbose(`closing ${socket[TYPE]}`, socketFields(socket))
 			})
+			if (socket[TYPE] === 'request') {
+				socket.once('data', buffer => {
+					let string = buffer.slice(0, 200).toString()
+					let firstLine = string.slice(0, string.indexOf('\n'))
+					let httpIndex = firstLine.indexOf(' HTTP/')
+					if (httpIndex !== -1)
+						logger.verbose(firstLine.slice(0, Math.min(60, httpIndex)), socketFields(socket))
+					else
+						logger.verbose('UNKNOWN REQUEST', {...socketFields(socket), data: string})
+				})
+			}
 		}
 	}
+
+	addForwardedHeaders(request) {
+		const forwarded = new ForwardedHeaders(request)
+		forwarded.once('error', err => {
+			this.logger.socket(request, `malformed HTTP request`, {error: err.message})
+			killSocket(request)
+		})
+		return request.pipe(forwarded)
+	}
+
 }
 
-export function createProxyServer(options) {
-	new ProxyServer(options)
+const DEMAND_INTERVAL = 1000
+const RESTART_DELAY = 1000
+// Control connection is closed after this many heartbeat intervals without a message.
+const HEARTBEAT_MISSES = 3
+
+const MULTIPLEXER = Symbol('multiplexer')
+const SESSION = Symbol('session')
+const CLOSED = Symbol('closed')
+const ACCEPTED = Symbol('accepted')
+const COMPRESSION = Symbol('compression')
+const LAST_SEEN = Symbol('last-seen')
+const PORT_TOKEN = Symbol('port-token')
+const RESTARTING = Symbol('restarting')
+// Where messages to the control connection are written (cipher of encrypted one).
+const CONTROL_CHANNEL = Symbol('control-channel')
+const QUEUED_AT = Symbol('queued-at')
+const QUEUE_TIMEOUT = Symbol('queue-timeout')
+
+const sendControlMessage = (socket, message) => socket[CONTROL_CHANNEL].write(encodeMessage(message))
+
+// Common name of verified client certificate.
+function getTunnelIdentity(tunnel) {
+	if (!tunnel.authorized) return
+	const {subject} = tunnel.getPeerCertificate()
+	if (subject && subject.CN) return subject.CN
 }
 
-const promiseEvent = (target, event) => new Promise(resolve => target.once(event, resolve))
\ No newline at end of file
+export function createProxyServer(options) {
+	return new ProxyServer(options)
+}
\ No newline at end of file
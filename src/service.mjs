@@ -0,0 +1,125 @@
+// Name of the service used when the proxy isn't doing virtual hosting. All tunnels go to a single pool.
+export const DEFAULT_SERVICE = ''
+
+export const SERVICE = Symbol('service')
+
+// Client of the service a tunnel or control connection comes from, or a request is served by.
+export const CLIENT = Symbol('client')
+
+// Metadata sent with a stream of multiplexed tunnel, i.e. which port of the app should the client connect to.
+export const STREAM_META = Symbol('stream-meta')
+
+// Tunnels opened by clients registered under the same service name,
+// and queue of requests waiting for those tunnels.
+export class Service {
+
+	requestQueue = []
+	// clientId -> ServiceClient. More clients mean the app runs on more machines (see loadBalancing).
+	clients = new Map
+	// Tunnels carrying UDP datagrams (see udp.mjs).
+	udpTunnels = []
+	// All accepted tunnel connections, including those currently serving a request.
+	tunnels = new Set
+	// See metrics.mjs
+	counters = {
+		requests: 0,
+		served: 0,
+		rejected: 0,
+		queueWaitSum: 0,
+		queueWaitCount: 0,
+		bytesIn: 0,
+		bytesOut: 0,
+		reconnects: 0,
+	}
+	everConnected = false
+	// Control connections of clients registered under this service. Used to report demand for tunnels.
+	controls = new Set
+	// Control connections of clients reporting the app is down (see healthCheck) -> reason.
+	downReports = new Map
+
+	constructor(name) {
+		this.name = name
+	}
+
+	get connected() {
+		return this.tunnels.size > 0
+	}
+
+	// All clients with control connection report the app is down.
+	get appDown() {
+		return this.controls.size > 0 && [...this.controls].every(socket => this.downReports.has(socket))
+	}
+
+	// Idle tunnels of all clients.
+	get tunnelPool() {
+		return [...this.clients.values()].flatMap(client => client.tunnelPool)
+	}
+
+	// Multiplexed tunnel connections of all clients.
+	get muxPool() {
+		return [...this.clients.values()].flatMap(client => client.muxPool)
+	}
+
+	get label() {
+		return this.name === DEFAULT_SERVICE ? 'App' : `App "${this.name}"`
+	}
+
+}
+
+// Tunnels of one client of the service (by clientId of its hello) and the requests it serves.
+export class ServiceClient {
+
+	tunnelPool = []
+	// Multiplexed tunnel connections. Each can serve any number of requests at once.
+	muxPool = []
+	// All accepted tunnel connections of the client, including those currently serving a request.
+	tunnels = new Set
+	controls = new Set
+	// Requests being served by the client.
+	activeRequests = 0
+	served = 0
+	// Share of requests with loadBalancing 'weighted', sent by the client in the hello.
+	weight = 1
+	// Doesn't get new requests (see drainClient()).
+	draining = false
+	// See balancer.mjs
+	lastPicked = 0
+	currentWeight = 0
+	// Pooled tunnels handed to requests per second (moving average).
+	drainRate = 0
+	tunnelsTaken = 0
+	lastTunnelsTaken = 0
+
+	constructor(id) {
+		this.id = id
+	}
+
+	get connected() {
+		return this.tunnels.size > 0
+	}
+
+	// Neither tunnels nor control connection are left.
+	get gone() {
+		return this.tunnels.size === 0 && this.controls.size === 0
+	}
+
+	// Has a tunnel ready for the request right away. Requests with stream metadata can only be served by multiplexed tunnels.
+	canServe(request) {
+		if (this.draining) return false
+		return this.muxPool.length > 0 || (this.tunnelPool.length > 0 && request[STREAM_META] === undefined)
+	}
+
+	// Round robin between multiplexed connections.
+	openStream(meta) {
+		const multiplexer = this.muxPool.shift()
+		this.muxPool.push(multiplexer)
+		return multiplexer.openStream(meta)
+	}
+
+	updateDrainRate(seconds) {
+		const rate = (this.tunnelsTaken - this.lastTunnelsTaken) / seconds
+		this.lastTunnelsTaken = this.tunnelsTaken
+		this.drainRate = this.drainRate * 0.5 + rate * 0.5
+	}
+
+}
@@ -3,27 +3,6 @@ export const INFO    = 1
 export const VERBOSE = 2
 export const DEBUG   = 3
 
-export let logLevel = INFO
-
-export const setLogLevel = arg => {
-	if (arg === true)
-		logLevel = VERBOSE
-	else if (arg === false)
-		logLevel = NOTHING
-	else if (typeof arg === 'number')
-		logLevel = arg
-	else
-		logLevel = INFO
-}
-
-export function log(level, ...args) {
-	if (level > logLevel) return
-	if (level >= VERBOSE)
-		console.log('\x1b[90m', ...args, '\x1b[0m')
-	else
-		console.log(...args)
-}
-
 export function removeFromArray(arr, item) {
 	const index = arr.indexOf(item)
 	if (index !== -1) {
@@ -32,11 +11,14 @@ export function removeFromArray(arr, item) {
 	}
 }
 
+// Object options are merged with their defaults, or can be turned off with false.
 export function applyOptions(target, defaultOpts = {}, userOpts = {}) {
 	for (let key in defaultOpts) {
 		let userVal = userOpts[key]
 		let defaultVal = defaultOpts[key]
-		if (typeof defaultVal === 'object')
+		if (typeof defaultVal === 'object' && userVal === false)
+			target[key] = false
+		else if (typeof defaultVal === 'object')
 			target[key] = applyOptions({}, defaultVal, userVal)
 		else if (userVal !== undefined)
 			target[key] = userVal
@@ -68,10 +50,38 @@ export function mutuallyAssuredSocketDestruction(a, b) {
 	b.once('close', () => killSocket(a))
 }
 
+// For sockets piped to each other through streams that hold data for a while (i.e. compression).
+// The pipes pass the end of a socket on once everything before it went through, only then is the other one killed.
+// Socket closed without ending kills the other one right away.
+export function deferredSocketDestruction(a, b) {
+	for (let [from, to] of [[a, b], [b, a]]) {
+		from.once('end', () => {
+			if (to.writableFinished) killSocket(to)
+			else to.once('finish', () => killSocket(to))
+		})
+		from.once('close', () => {
+			if (!from.readableEnded) killSocket(to)
+		})
+	}
+}
+
+export const promiseEvent = (target, event) => new Promise(resolve => target.once(event, resolve))
+
+// Resolves once the server (or UDP socket) listens, rejects with the error if it can't (i.e. port in use).
+export const promiseListening = server => new Promise((resolve, reject) => {
+	server.once('error', reject)
+	server.once('listening', () => {
+		server.off('error', reject)
+		resolve()
+	})
+})
+
+// Doesn't keep the process alive.
+export const promiseTimeout = millis => new Promise(resolve => setTimeout(resolve, millis).unref())
+
 export const ID = Symbol('id')
 export const TYPE = Symbol('type')
 
 const createId = () => Math.ceil(Math.random() * 999).toString().padStart(3, '0')
 export const getId = socket => socket[ID] ? socket[ID] : socket[ID] = createId()
 export const getDebugId = socket => `${(socket[TYPE] || '').slice(0,1)}:${getId(socket)}`
-export const logSocket = (socket, ...args) => log(DEBUG, getDebugId(socket),  ...args)
\ No newline at end of file
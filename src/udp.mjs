@@ -0,0 +1,238 @@
+import net from 'net'
+import dgram from 'dgram'
+import {removeFromArray} from './shared.mjs'
+
+
+// Datagrams are carried over a long-lived tunnel connection.
+// Every frame is [1 byte - type][4 bytes - session id][2 bytes - payload length][payload].
+// Session is a single source address:port on the proxy side and a separate UDP socket on the client side,
+// so that the app's replies get back to the right source.
+export const UDP_FRAME = {
+	DATA:  1,
+	CLOSE: 2, // session expired on one side, the other can forget it too
+}
+
+const HEADER_SIZE = 7
+const EMPTY = Buffer.alloc(0)
+// Datagrams are dropped rather than buffered when the tunnel can't keep up.
+const MAX_BUFFERED = 1024 * 1024
+
+export function encodeDatagram(type, id, payload = EMPTY) {
+	let header = Buffer.alloc(HEADER_SIZE)
+	header.writeUInt8(type, 0)
+	header.writeUInt32BE(id, 1)
+	header.writeUInt16BE(payload.length, 5)
+	return Buffer.concat([header, payload])
+}
+
+// Returns false if the datagram was dropped.
+export function writeDatagram(writable, type, id, payload) {
+	if (writable.destroyed || writable.writableLength > MAX_BUFFERED) return false
+	writable.write(encodeDatagram(type, id, payload))
+	return true
+}
+
+// Calls back with every frame arriving at the tunnel.
+export function readDatagrams(readable, callback) {
+	let buffer = EMPTY
+	readable.on('data', chunk => {
+		buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk
+		while (buffer.length >= HEADER_SIZE) {
+			let type   = buffer.readUInt8(0)
+			let id     = buffer.readUInt32BE(1)
+			let length = buffer.readUInt16BE(5)
+			if (buffer.length < HEADER_SIZE + length) break
+			let payload = buffer.subarray(HEADER_SIZE, HEADER_SIZE + length)
+			buffer = buffer.subarray(HEADER_SIZE + length)
+			callback(type, id, payload)
+		}
+	})
+}
+
+// Proxy side. Listens for datagrams on udpPort and relays them through UDP tunnels of the service.
+export class UdpServer {
+
+	// 'address:port' -> session
+	sessions = new Map
+	sessionsById = new Map
+	nextId = 1
+	counters = {
+		datagramsIn: 0,
+		datagramsOut: 0,
+		dropped: 0,
+	}
+
+	constructor(server, service) {
+		const {udpPort, udpHost, udpSessionTimeout} = server
+		this.server = server
+		this.logger = server.logger
+		this.service = service
+		this.sessionTimeout = udpSessionTimeout
+		this.writables = new WeakMap
+		// IPv6 socket bound to all addresses takes IPv4 datagrams too, like the TCP ports of the proxy.
+		this.socket = dgram.createSocket(net.isIPv4(udpHost) ? 'udp4' : 'udp6')
+		this.socket.on('message', this.onDatagram)
+		this.socket.on('listening', () => this.logger.info(`UDP Proxy server is listening on port ${udpPort}`))
+		this.socket.on('error', err => {
+			this.logger.error(`UDP Proxy server error`, {error: err.message})
+			server.emitError(err)
+		})
+		this.socket.bind(udpPort, udpHost)
+		this.expiryTimer = setInterval(this.expireSessions, Math.min(this.sessionTimeout, 10 * 1000))
+		this.expiryTimer.unref()
+	}
+
+	// Readable and writable can be layered on top of the tunnel (i.e. decipher and cipher).
+	addTunnel(tunnel, {readable = tunnel, writable = tunnel} = {}) {
+		this.service.udpTunnels.push(tunnel)
+		this.writables.set(tunnel, writable)
+		readDatagrams(readable, (type, id, payload) => this.onFrame(tunnel, type, id, payload))
+		tunnel.once('close', () => this.removeTunnel(tunnel))
+	}
+
+	removeTunnel(tunnel) {
+		removeFromArray(this.service.udpTunnels, tunnel)
+		for (let session of this.sessionsById.values())
+			if (session.tunnel === tunnel) this.deleteSession(session)
+	}
+
+	onDatagram = (payload, {address, port}) => {
+		this.counters.datagramsIn++
+		const key = `${address}:${port}`
+		let session = this.sessions.get(key)
+		if (!session) {
+			const {udpTunnels} = this.service
+			if (udpTunnels.length === 0) return this.counters.dropped++
+			// Round robin between UDP tunnels.
+			const tunnel = udpTunnels.shift()
+			udpTunnels.push(tunnel)
+			session = {id: this.createId(), key, address, port, tunnel}
+			this.sessions.set(key, session)
+			this.sessionsById.set(session.id, session)
+			this.logger.verbose(`UDP session opened`, {session: session.id, address, port})
+		}
+		session.lastActive = Date.now()
+		if (!writeDatagram(this.writables.get(session.tunnel), UDP_FRAME.DATA, session.id, payload))
+			this.counters.dropped++
+	}
+
+	onFrame(tunnel, type, id, payload) {
+		const session = this.sessionsById.get(id)
+		if (!session || session.tunnel !== tunnel) return
+		if (type === UDP_FRAME.DATA) {
+			session.lastActive = Date.now()
+			this.counters.datagramsOut++
+			this.socket.send(payload, session.port, session.address)
+		} else if (type === UDP_FRAME.CLOSE) {
+			this.deleteSession(session)
+		}
+	}
+
+	createId() {
+		do {
+			this.nextId = this.nextId >= 0xffffffff ? 1 : this.nextId + 1
+		} while (this.sessionsById.has(this.nextId))
+		return this.nextId
+	}
+
+	deleteSession(session) {
+		this.sessions.delete(session.key)
+		this.sessionsById.delete(session.id)
+		this.logger.verbose(`UDP session closed`, {session: session.id})
+	}
+
+	expireSessions = () => {
+		const now = Date.now()
+		for (let session of this.sessionsById.values()) {
+			if (now - session.lastActive < this.sessionTimeout) continue
+			writeDatagram(this.writables.get(session.tunnel), UDP_FRAME.CLOSE, session.id)
+			this.deleteSession(session)
+		}
+	}
+
+	get sessionCount() {
+		return this.sessions.size
+	}
+
+	close() {
+		clearInterval(this.expiryTimer)
+		this.socket.close()
+	}
+
+}
+
+// Client side. Replays datagrams coming through the tunnel to the app, each session from its own UDP socket.
+export class UdpRelay {
+
+	// session id -> session
+	sessions = new Map
+
+	constructor(socket, {readable = socket, writable = socket} = {}, {appHost, appPort, udpSessionTimeout, logger}) {
+		this.writable = writable
+		this.logger = logger
+		this.appHost = appHost
+		this.appPort = appPort
+		this.sessionTimeout = udpSessionTimeout
+		readDatagrams(readable, this.onFrame)
+		this.expiryTimer = setInterval(this.expireSessions, Math.min(this.sessionTimeout, 10 * 1000))
+		this.expiryTimer.unref()
+	}
+
+	onFrame = (type, id, payload) => {
+		let session = this.sessions.get(id)
+		if (type === UDP_FRAME.CLOSE) {
+			if (session) this.closeSession(session)
+		} else if (type === UDP_FRAME.DATA) {
+			if (!session) session = this.createSession(id)
+			session.lastActive = Date.now()
+			// Datagrams arriving before the socket is connected (resolving appHost) wait for it.
+			if (session.pending) session.pending.push(payload)
+			else session.socket.send(payload)
+		}
+	}
+
+	createSession(id) {
+		const socket = dgram.createSocket(net.isIPv6(this.appHost) ? 'udp6' : 'udp4')
+		const session = {id, socket, pending: []}
+		socket.connect(this.appPort, this.appHost, () => {
+			for (let payload of session.pending)
+				socket.send(payload)
+			session.pending = undefined
+		})
+		socket.on('message', payload => {
+			session.lastActive = Date.now()
+			writeDatagram(this.writable, UDP_FRAME.DATA, id, payload)
+		})
+		// I.e. ICMP port unreachable while the app is down. UDP has no connection to lose, keep the session.
+		socket.on('error', err => this.logger.verbose(`UDP session error`, {session: id, error: err.message}))
+		this.sessions.set(id, session)
+		this.logger.verbose(`UDP session opened`, {session: id})
+		return session
+	}
+
+	closeSession(session) {
+		this.sessions.delete(session.id)
+		session.socket.close()
+		this.logger.verbose(`UDP session closed`, {session: session.id})
+	}
+
+	expireSessions = () => {
+		const now = Date.now()
+		for (let session of this.sessions.values()) {
+			if (now - session.lastActive < this.sessionTimeout) continue
+			writeDatagram(this.writable, UDP_FRAME.CLOSE, session.id)
+			this.closeSession(session)
+		}
+	}
+
+	get sessionCount() {
+		return this.sessions.size
+	}
+
+	close() {
+		clearInterval(this.expiryTimer)
+		for (let session of this.sessions.values())
+			this.closeSession(session)
+	}
+
+}
@@ -0,0 +1,28 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {createBlockList} from '../src/access.mjs'
+
+
+test('createBlockList matches addresses and CIDR ranges', () => {
+	const list = createBlockList(['10.0.0.0/8', '192.168.1.5', 'fd00::/8'], 'denyIps')
+	assert.equal(list.check('10.1.2.3', 'ipv4'), true)
+	assert.equal(list.check('192.168.1.5', 'ipv4'), true)
+	assert.equal(list.check('192.168.1.6', 'ipv4'), false)
+	assert.equal(list.check('fd12::1', 'ipv6'), true)
+	assert.equal(list.check('8.8.8.8', 'ipv4'), false)
+})
+
+test('createBlockList accepts a single entry and /0', () => {
+	assert.equal(createBlockList('10.0.0.1', 'allowIps').check('10.0.0.1', 'ipv4'), true)
+	assert.equal(createBlockList('0.0.0.0/0', 'allowIps').check('8.8.8.8', 'ipv4'), true)
+})
+
+test('createBlockList rejects invalid prefixes', () => {
+	for (let entry of ['10.0.0.1/', '10.0.0.1/ ', '10.0.0.1/8x', '10.0.0.1/-1', '10.0.0.1/1.5', '10.0.0.1/33', 'fd00::/129', '10.0.0.1/8/8'])
+		assert.throws(() => createBlockList([entry], 'denyIps'), /denyIps contains invalid CIDR range/, entry)
+})
+
+test('createBlockList rejects invalid addresses', () => {
+	assert.throws(() => createBlockList(['example.com'], 'allowIps'), /allowIps contains invalid address "example.com"/)
+	assert.throws(() => createBlockList(['/8'], 'allowIps'), /invalid address/)
+})
@@ -0,0 +1,34 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {exposeThroughProxy} from '../index.mjs'
+import {startTunnel, startHttpApp, exchange, GET} from './helpers.mjs'
+
+
+// Which app answered each of count requests sent one after another.
+async function collect(port, count) {
+	const answers = []
+	for (let i = 0; i < count; i++)
+		answers.push((await exchange(port, GET)).slice(-1))
+	return answers.join('')
+}
+
+test('requests are spread between clients of the same service, drained client gets none', {timeout: 10 * 1000}, async () => {
+	const a = await startHttpApp('a')
+	const b = await startHttpApp('b')
+	const {server, close} = await startTunnel({proxyPort: 19410, tunnelPort: 19411}, {appPort: a.port, clientId: 'a'})
+	const second = exposeThroughProxy({proxyHost: 'localhost', tunnelPort: 19411, appPort: b.port, clientId: 'b', log: false, closeTimeout: 100})
+	await second.ready
+	try {
+		const answers = await collect(19410, 6)
+		assert.match(answers, /a/)
+		assert.match(answers, /b/)
+		server.drainClient('a')
+		assert.equal(await collect(19410, 3), 'bbb')
+		server.resumeClient('a')
+		assert.match(await collect(19410, 4), /a/)
+	} finally {
+		await Promise.all([close(), second.close()])
+		a.app.close()
+		b.app.close()
+	}
+})
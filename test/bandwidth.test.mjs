@@ -0,0 +1,48 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import net from 'net'
+import {startTunnel, exchange, listen} from './helpers.mjs'
+
+
+// App that answers every connection with size bytes and closes it.
+async function startApp(size) {
+	const app = net.createServer(socket => {
+		socket.once('data', () => socket.end(Buffer.alloc(size, 'x')))
+	})
+	return {app, port: await listen(app)}
+}
+
+test('downloadRate slows down what the app sends', {timeout: 10 * 1000}, async () => {
+	const {app, port} = await startApp(200 * 1024)
+	const {close} = await startTunnel({proxyPort: 19310, tunnelPort: 19311, downloadRate: 50 * 1024}, {appPort: port})
+	try {
+		const start = Date.now()
+		const response = await exchange(19310, 'hello', 5000)
+		assert.equal(response.length, 200 * 1024)
+		// First second worth of bytes goes right away, at most one more chunk of 64 KiB after the rest.
+		assert.ok(Date.now() - start >= 1000, `took only ${Date.now() - start}ms`)
+	} finally {
+		await close()
+		app.close()
+	}
+})
+
+for (let httpMode of [true, false]) {
+	test(`requests over dailyQuota are refused${httpMode ? ' with 429' : ''}`, {timeout: 10 * 1000}, async () => {
+		const {app, port} = await startApp(2000)
+		const {server, close} = await startTunnel({proxyPort: 19312, tunnelPort: 19313, dailyQuota: 1000, httpMode}, {appPort: port})
+		try {
+			const exceeded = new Promise(resolve => server.once('quota-exceeded', resolve))
+			await exchange(19312, 'GET / HTTP/1.1\r\nHost: app\r\n\r\n')
+			await exceeded
+			const response = await exchange(19312, 'GET / HTTP/1.1\r\nHost: app\r\n\r\n')
+			if (httpMode)
+				assert.match(response, /^HTTP\/1.1 429/)
+			else
+				assert.equal(response, '')
+		} finally {
+			await close()
+			app.close()
+		}
+	})
+}
@@ -0,0 +1,61 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import net from 'node:net'
+import {parseArgs, parseEnv, run} from '../src/cli.mjs'
+
+
+test('parseArgs converts values to the type of the default', () => {
+	const {command, options} = parseArgs(['server', '--proxy-port', '80', '--multiplex', '--no-watch-certificates', '--log-format=json'])
+	assert.equal(command, 'server')
+	assert.deepEqual(options, {proxyPort: 80, multiplex: true, watchCertificates: false, logFormat: 'json'})
+})
+
+test('parseArgs keeps digits of string options as strings', () => {
+	const {options} = parseArgs(['client', '--secret', '123456', '--client-id', '42', '--service', '2024', '--sticky-cookie', '7', '--tunnel-encryption.key', '1234'])
+	assert.deepEqual(options, {secret: '123456', clientId: '42', service: '2024', stickyCookie: '7', tunnelEncryption: {key: '1234'}})
+})
+
+test('parseArgs converts numeric options without default', () => {
+	const {options} = parseArgs(['server', '--tunnel-port', '8010', '--udp-port=5353', '--health-check.interval', '5000', '--queue-timeout', '10000', '--log', '2'])
+	assert.deepEqual(options, {tunnelPort: 8010, udpPort: 5353, healthCheck: {interval: 5000}, queueTimeout: 10000, log: 2})
+})
+
+test('parseArgs splits lists and converts only numeric ones', () => {
+	const {options} = parseArgs(['client', '--app-ports', '8080,8081', '--bearer-tokens', '111,222', '--public-ports=20000-20099,20200'])
+	assert.deepEqual(options, {appPorts: [8080, 8081], bearerTokens: ['111', '222'], publicPorts: ['20000-20099', '20200']})
+})
+
+test('parseArgs converts numbers inside serviceLimits', () => {
+	const {options} = parseArgs(['server', '--service-limits.hass.upload-rate', '1000'])
+	assert.deepEqual(options, {serviceLimits: {hass: {uploadRate: 1000}}})
+})
+
+test('parseArgs rejects unknown options and bad numbers', () => {
+	assert.throws(() => parseArgs(['server', '--bogus', '1']), /Unknown option "bogus"/)
+	assert.throws(() => parseArgs(['server', '--proxy-port', 'abc']), /has to be a number/)
+})
+
+test('parseEnv keeps digits of string options as strings', () => {
+	const options = parseEnv({LAN_TUNNEL_SECRET: '987654', LAN_TUNNEL_CLIENT_ID: '42', LAN_TUNNEL_PROXY_PORT: '80', LAN_TUNNEL_TUNNEL_ENCRYPTION__IV: '1234567890123456', OTHER: '1'})
+	assert.deepEqual(options, {secret: '987654', clientId: '42', proxyPort: 80, tunnelEncryption: {iv: '1234567890123456'}})
+})
+
+test('parseEnv converts numeric options without default', () => {
+	assert.deepEqual(parseEnv({LAN_TUNNEL_METRICS_PORT: '9100', LAN_TUNNEL_HEALTH_CHECK__INTERVAL: '1000'}), {metricsPort: 9100, healthCheck: {interval: 1000}})
+})
+
+test('parseArgs takes bracketed values of string options as they are', () => {
+	const {options} = parseArgs(['client', '--proxy-host', '[::1]:8010', '--secret', '[not json'])
+	assert.deepEqual(options, {proxyHost: '[::1]:8010', secret: '[not json'})
+	assert.throws(() => parseArgs(['server', '--basic-auth', '{user']), /not valid JSON/)
+})
+
+test('run rejects when the proxy can\'t listen', async () => {
+	const taken = net.createServer().listen(19300, 'localhost')
+	await new Promise(resolve => taken.once('listening', resolve))
+	try {
+		await assert.rejects(run(['server', '--proxy-port', '19300', '--tunnel-port', '19301', '--log', '0']), /EADDRINUSE/)
+	} finally {
+		taken.close()
+	}
+})
@@ -0,0 +1,29 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {createProxyServer, exposeThroughProxy} from '../index.mjs'
+import {startHttpApp, exchange, GET} from './helpers.mjs'
+
+
+const JSON_BODY = JSON.stringify(Array.from({length: 2000}, (_, id) => ({id, name: `device ${id}`, online: id % 2 === 0})))
+
+for (let multiplex of [false, true]) {
+	test(`compressed tunnel carries responses intact and smaller${multiplex ? ' (multiplexed)' : ''}`, {timeout: 10 * 1000}, async () => {
+		const {app, port} = await startHttpApp(JSON_BODY)
+		const server = createProxyServer({proxyPort: 19400, tunnelPort: 19401, tunnelCompression: ['brotli', 'deflate'], log: false, closeTimeout: 100})
+		// Bytes the proxy received through the tunnels.
+		const tunnels = []
+		server.tunnel.on('connection', socket => tunnels.push(socket))
+		await server.ready
+		const client = exposeThroughProxy({proxyHost: 'localhost', tunnelPort: 19401, appPort: port, tunnelCompression: 'deflate', multiplex, log: false, closeTimeout: 100})
+		await client.ready
+		try {
+			const response = await exchange(19400, GET)
+			assert.ok(response.endsWith(JSON_BODY))
+			const received = tunnels.reduce((sum, socket) => sum + socket.bytesRead, 0)
+			assert.ok(received < JSON_BODY.length / 2, `${received} bytes through tunnels for ${JSON_BODY.length} of response`)
+		} finally {
+			await Promise.all([client.close(), server.close()])
+			app.close()
+		}
+	})
+}
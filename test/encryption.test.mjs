@@ -0,0 +1,36 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {createProxyServer, exposeThroughProxy} from '../index.mjs'
+import {startTunnel, startHttpApp, exchange, GET} from './helpers.mjs'
+
+
+for (let multiplex of [false, true]) {
+	test(`handshake encryption carries requests${multiplex ? ' over multiplexed tunnel' : ''}`, {timeout: 10 * 1000}, async () => {
+		const {app, port} = await startHttpApp('encrypted')
+		const tunnelEncryption = {mode: 'handshake', key: 'shared key'}
+		const {close} = await startTunnel({proxyPort: 19350, tunnelPort: 19351, tunnelEncryption}, {appPort: port, tunnelEncryption, multiplex})
+		try {
+			assert.match(await exchange(19350, GET), /encrypted$/)
+		} finally {
+			await close()
+			app.close()
+		}
+	})
+}
+
+test('handshake with a different key is refused', {timeout: 10 * 1000}, async () => {
+	const server = createProxyServer({proxyPort: 19352, tunnelPort: 19353, tunnelEncryption: {mode: 'handshake', key: 'shared key'}, log: false, closeTimeout: 100})
+	await server.ready
+	const {app, port} = await startHttpApp('encrypted')
+	const refused = new Promise(resolve => server.once('error', resolve))
+	const client = exposeThroughProxy({proxyHost: 'localhost', tunnelPort: 19353, appPort: port, tunnelEncryption: {mode: 'handshake', key: 'other key'}, log: false, closeTimeout: 100})
+	client.on('error', () => {})
+	try {
+		assert.match((await refused).message, /mismatched key/)
+		assert.equal(client.connected, false)
+		assert.ok(server.getStats().handshakeFailures >= 1)
+	} finally {
+		await Promise.all([client.close(), server.close()])
+		app.close()
+	}
+})
@@ -0,0 +1,24 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import net from 'net'
+import {startTunnel, startHttpApp, listen, exchange} from './helpers.mjs'
+
+
+test('localForwards reach targets next to the proxy, only those in forwardTargets', {timeout: 10 * 1000}, async () => {
+	// Service next to the proxy, i.e. a database or MQTT broker.
+	const target = net.createServer(socket => socket.on('data', data => socket.end(`echo:${data}`)))
+	const targetPort = await listen(target)
+	const {app, port} = await startHttpApp('app')
+	const {close} = await startTunnel(
+		{proxyPort: 19370, tunnelPort: 19371, forwardTargets: [`localhost:${targetPort}`]},
+		{appPort: port, localForwards: [`19372:localhost:${targetPort}`, `19373:localhost:${port}`]},
+	)
+	try {
+		assert.equal(await exchange(19372, 'ping'), 'echo:ping')
+		assert.equal(await exchange(19373, 'GET / HTTP/1.1\r\nHost: app\r\n\r\n'), '')
+	} finally {
+		await close()
+		target.close()
+		app.close()
+	}
+})
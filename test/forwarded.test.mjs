@@ -0,0 +1,65 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import net from 'net'
+import {startTunnel, exchange, listen} from './helpers.mjs'
+import {getHeader, parseHttpHead} from '../src/http.mjs'
+
+
+// App that answers every request head with 200, or with 101 (and echoes the rest) when switch is true.
+async function startApp({switchProtocols = false} = {}) {
+	const requests = []
+	const raw = []
+	const app = net.createServer(socket => {
+		let buffer = ''
+		let switched = false
+		socket.on('data', chunk => {
+			if (switched) return raw.push(chunk.toString())
+			buffer += chunk
+			let end
+			while (!switched && (end = buffer.indexOf('\r\n\r\n')) !== -1) {
+				const head = parseHttpHead(buffer.slice(0, end))
+				buffer = buffer.slice(end + 4)
+				requests.push(`${head.path} xff=${getHeader(head, 'x-forwarded-for')}`)
+				if (switchProtocols && getHeader(head, 'upgrade')) {
+					switched = true
+					socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: test\r\nConnection: Upgrade\r\n\r\n')
+					if (buffer) raw.push(buffer)
+				} else {
+					socket.write('HTTP/1.1 200 OK\r\nContent-Length: 2\r\n\r\nok')
+				}
+			}
+		})
+	})
+	const port = await listen(app)
+	return {app, port, requests, raw}
+}
+
+const UPGRADE = 'GET /one HTTP/1.1\r\nHost: app\r\nUpgrade: test\r\nConnection: Upgrade\r\nX-Forwarded-For: 6.6.6.6\r\n\r\n'
+const SECOND = 'GET /two HTTP/1.1\r\nHost: app\r\nX-Forwarded-For: 6.6.6.6\r\n\r\n'
+
+test('forwardedHeaders keeps rewriting pipelined requests when the app refuses to upgrade', async () => {
+	const {app, port, requests} = await startApp()
+	const {close} = await startTunnel({proxyPort: 19100, tunnelPort: 19101, forwardedHeaders: true}, {appPort: port})
+	try {
+		const response = await exchange(19100, UPGRADE + SECOND)
+		assert.equal(response.split('200 OK').length - 1, 2)
+		assert.deepEqual(requests, ['/one xff=127.0.0.1', '/two xff=127.0.0.1'])
+	} finally {
+		await close()
+		app.close()
+	}
+})
+
+test('forwardedHeaders passes data through untouched after 101', async () => {
+	const {app, port, requests, raw} = await startApp({switchProtocols: true})
+	const {close} = await startTunnel({proxyPort: 19102, tunnelPort: 19103, forwardedHeaders: true}, {appPort: port})
+	try {
+		const response = await exchange(19102, UPGRADE + SECOND)
+		assert.match(response, /^HTTP\/1.1 101/)
+		assert.deepEqual(requests, ['/one xff=127.0.0.1'])
+		assert.equal(raw.join(''), SECOND)
+	} finally {
+		await close()
+		app.close()
+	}
+})
@@ -0,0 +1,84 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import net from 'net'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {startTunnel, exchange, listen} from './helpers.mjs'
+import {replayHar} from '../src/har.mjs'
+import {getHeader, parseHttpHead} from '../src/http.mjs'
+
+
+// App that answers every request with the size of its body. Node's http server would stop reading
+// after a request asking for upgrade, this one keeps answering.
+async function startApp() {
+	const app = net.createServer(socket => {
+		let buffer = ''
+		socket.setEncoding('latin1')
+		socket.on('data', chunk => {
+			buffer += chunk
+			let end
+			while ((end = buffer.indexOf('\r\n\r\n')) !== -1) {
+				const head = parseHttpHead(buffer.slice(0, end))
+				const size = Number(getHeader(head, 'content-length') || 0)
+				if (buffer.length < end + 4 + size) break
+				buffer = buffer.slice(end + 4 + size)
+				const body = String(size)
+				socket.write(`HTTP/1.1 200 OK\r\nContent-Type: text/plain\r\nContent-Length: ${body.length}\r\n\r\n${body}`)
+			}
+		})
+	})
+	return {app, port: await listen(app)}
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lan-tunnel-har-'))
+test.after(() => fs.rmSync(tempDir, {recursive: true, force: true}))
+
+const post = body => `POST /upload HTTP/1.1\r\nHost: app\r\nContent-Type: text/plain\r\nContent-Length: ${body.length}\r\n\r\n${body}`
+
+// Resolves with the entries once count of them is recorded.
+const recorded = (server, count) => new Promise(resolve => {
+	const check = () => {
+		const {entries} = server.getHar().log
+		if (entries.length < count) return
+		server.removeListener('har-entry', check)
+		resolve(entries)
+	}
+	server.on('har-entry', check)
+})
+
+test('HAR records requests through the tunnel and replay skips truncated bodies', {timeout: 10 * 1000}, async () => {
+	const {app, port} = await startApp()
+	const {server, close} = await startTunnel({proxyPort: 19320, tunnelPort: 19321, harFile: path.join(tempDir, 'truncated.har'), harMaxBodySize: 10}, {appPort: port})
+	try {
+		const entries = recorded(server, 2)
+		await exchange(19320, post('hello') + post('x'.repeat(100)))
+		const [short, long] = await entries
+		assert.equal(short.request.postData.text, 'hello')
+		assert.equal(short.response.content.text, '5')
+		assert.equal(long.request.bodySize, 100)
+		assert.match(long.request.postData.comment, /^truncated to 10 of 100 bytes/)
+		const results = await replayHar(server.getHar(), {port: 19320})
+		assert.equal(results[0].status, 200)
+		assert.equal(results[1].skipped, 'truncated body')
+	} finally {
+		await close()
+		app.close()
+	}
+})
+
+test('HAR keeps recording requests after a refused upgrade', {timeout: 10 * 1000}, async () => {
+	const {app, port} = await startApp()
+	const {server, close} = await startTunnel({proxyPort: 19322, tunnelPort: 19323, harFile: path.join(tempDir, 'upgrade.har')}, {appPort: port})
+	try {
+		const entries = recorded(server, 2)
+		await exchange(19322, 'GET /one HTTP/1.1\r\nHost: app\r\nUpgrade: test\r\nConnection: Upgrade\r\n\r\n' + post('hello'))
+		const [upgrade, next] = await entries
+		assert.equal(upgrade.response.status, 200)
+		assert.equal(next.request.url, 'http://app/upload')
+		assert.equal(next.response.content.text, '5')
+	} finally {
+		await close()
+		app.close()
+	}
+})
@@ -0,0 +1,40 @@
+import net from 'net'
+import http from 'http'
+import {createProxyServer, exposeThroughProxy} from '../index.mjs'
+
+
+// Proxy and a client connected to it, both quiet. Test files run in parallel, each uses its own ports.
+export async function startTunnel(serverOptions, clientOptions) {
+	const server = createProxyServer({log: false, closeTimeout: 100, ...serverOptions})
+	await server.ready
+	const client = exposeThroughProxy({proxyHost: 'localhost', tunnelPort: serverOptions.tunnelPort, log: false, closeTimeout: 100, ...clientOptions})
+	await client.ready
+	const close = () => Promise.all([client.close(), server.close()])
+	return {server, client, close}
+}
+
+// Sends data over TCP and resolves with everything that came back once the other side closes
+// (or after idle milliseconds of silence).
+export function exchange(port, data, idle = 500) {
+	return new Promise((resolve, reject) => {
+		let received = ''
+		const socket = net.connect(port, 'localhost', () => socket.write(data))
+		socket.setTimeout(idle, () => socket.end())
+		socket.on('data', chunk => received += chunk)
+		socket.on('error', reject)
+		socket.on('close', () => resolve(received))
+	})
+}
+
+// HTTP app answering every request with the text.
+export async function startHttpApp(text) {
+	const app = http.createServer((req, res) => res.end(text))
+	return {app, port: await listen(app)}
+}
+
+// Request that the app answers and then closes the connection.
+export const GET = 'GET / HTTP/1.1\r\nHost: app\r\nConnection: close\r\n\r\n'
+
+export const listen = server => new Promise(resolve => server.listen(0, 'localhost', () => resolve(server.address().port)))
+
+export const delay = millis => new Promise(resolve => setTimeout(resolve, millis))
@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {PassThrough} from 'stream'
+import {peekHttpHead} from '../src/http.mjs'
+
+
+const read = stream => new Promise(resolve => {
+	let data = ''
+	stream.setEncoding('latin1')
+	stream.on('data', chunk => data += chunk)
+	stream.on('end', () => resolve(data))
+	stream.resume()
+})
+
+test('peekHttpHead parses the head and puts the data back', async () => {
+	const socket = new PassThrough
+	const request = 'GET /a HTTP/1.1\r\nHost: example.com\r\n\r\nbody'
+	socket.write(request)
+	const head = await peekHttpHead(socket)
+	assert.equal(head.method, 'GET')
+	assert.equal(head.path, '/a')
+	socket.end()
+	assert.equal(await read(socket), request)
+})
+
+test('peekHttpHead gives up on data that is not HTTP', async () => {
+	const socket = new PassThrough
+	socket.write('hello\r\n\r\n')
+	assert.equal(await peekHttpHead(socket), undefined)
+	socket.end('x'.repeat(100))
+	assert.equal(await peekHttpHead(socket, 64), undefined)
+})
+
+test('peekHttpHead resolves undefined when the head does not arrive in time', async () => {
+	const socket = new PassThrough
+	socket.write('GET / HTTP/1.1\r\nHost: exa')
+	const start = Date.now()
+	assert.equal(await peekHttpHead(socket, undefined, 50), undefined)
+	assert.ok(Date.now() - start < 1000)
+	socket.end('mple.com\r\n\r\n')
+	assert.equal(await read(socket), 'GET / HTTP/1.1\r\nHost: example.com\r\n\r\n')
+})
@@ -0,0 +1,60 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {Logger, setLogLevel, log, logSocket, logLevel, INFO, VERBOSE, NOTHING, DEBUG} from '../index.mjs'
+
+
+test('Logger levels follow the log option', () => {
+	assert.equal(new Logger({log: false}).level, NOTHING)
+	assert.equal(new Logger({log: true}).level, VERBOSE)
+	assert.equal(new Logger({log: 3}).level, DEBUG)
+	assert.equal(new Logger().level, INFO)
+})
+
+test('Logger hands records to custom logger', () => {
+	const records = []
+	const logger = new Logger({log: 2, logger: {info: (...args) => records.push(['info', ...args]), debug: (...args) => records.push(['debug', ...args])}})
+	logger.info('hello', {service: 'a'})
+	logger.verbose('details')
+	logger.debug('ignored')
+	assert.deepEqual(records, [['info', {service: 'a'}, 'hello'], ['debug', {}, 'details']])
+})
+
+test('Logger passes the message first to winston', () => {
+	const records = []
+	const winston = {
+		transports: [],
+		info:  (...args) => records.push(['info', ...args]),
+		debug: (...args) => records.push(['debug', ...args]),
+		error: (...args) => records.push(['error', ...args]),
+	}
+	const logger = new Logger({log: 3, logger: winston})
+	logger.info('hello', {service: 'a'})
+	logger.debug('socket event', {socket: 1})
+	logger.error('failed')
+	assert.deepEqual(records, [['info', 'hello', {service: 'a'}], ['debug', 'socket event', {socket: 1}], ['error', 'failed', {}]])
+})
+
+test('deprecated setLogLevel sets the level of new instances without log option', t => {
+	t.after(() => setLogLevel())
+	setLogLevel(false)
+	assert.equal(logLevel, NOTHING)
+	assert.equal(new Logger().level, NOTHING)
+	assert.equal(new Logger({log: 1}).level, INFO)
+	setLogLevel(true)
+	assert.equal(new Logger().level, VERBOSE)
+	setLogLevel()
+	assert.equal(logLevel, INFO)
+})
+
+test('deprecated log and logSocket write at the global level', t => {
+	const lines = []
+	t.mock.method(console, 'log', (...args) => lines.push(args.join(' ')))
+	t.after(() => setLogLevel())
+	log(INFO, 'shown', 1)
+	logSocket({}, 'hidden')
+	setLogLevel(DEBUG)
+	logSocket({}, 'socket', 'event')
+	assert.equal(lines.length, 2)
+	assert.equal(lines[0], 'shown 1')
+	assert.match(lines[1], /socket event/)
+})
@@ -0,0 +1,23 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {startTunnel, startHttpApp, exchange, GET} from './helpers.mjs'
+
+
+test('multiplexed client carries parallel requests over a single tunnel connection', {timeout: 10 * 1000}, async () => {
+	const {app, port} = await startHttpApp('multiplexed')
+	const {server, close} = await startTunnel({proxyPort: 19340, tunnelPort: 19341}, {appPort: port, multiplex: true})
+	try {
+		const responses = await Promise.all(Array.from({length: 5}, () => exchange(19340, GET)))
+		for (let response of responses) {
+			assert.match(response, /^HTTP\/1.1 200 OK/)
+			assert.match(response, /multiplexed$/)
+		}
+		const stats = server.getStats().services['']
+		assert.equal(stats.multiplexedTunnels, 1)
+		assert.equal(stats.pooledTunnels, 0)
+		assert.equal(stats.servedRequests, 5)
+	} finally {
+		await close()
+		app.close()
+	}
+})
@@ -0,0 +1,26 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import {startTunnel, listen, exchange, delay, GET} from './helpers.mjs'
+
+
+test('client grows the pool to cover demand reported by the proxy', {timeout: 10 * 1000}, async () => {
+	// Slow app keeps the tunnels busy, so requests queue up on the proxy.
+	const app = http.createServer((req, res) => setTimeout(() => res.end('slow'), 1500))
+	const port = await listen(app)
+	const {server, close} = await startTunnel({proxyPort: 19360, tunnelPort: 19361}, {appPort: port, tunnelSocketsPoolSize: 2, minTunnels: 2, maxTunnels: 10})
+	const tunnels = () => server.getStats().services[''].clientStats[0].tunnels
+	try {
+		// The rest of the initial pool opens after the first tunnel.
+		await delay(300)
+		assert.equal(tunnels(), 2)
+		const responses = Promise.all(Array.from({length: 8}, () => exchange(19360, GET, 3000)))
+		// Proxy reports demand every second.
+		await delay(1500)
+		assert.ok(tunnels() > 2, `pool stayed at ${tunnels()} tunnels`)
+		for (let response of await responses) assert.match(response, /slow$/)
+	} finally {
+		await close()
+		app.close()
+	}
+})
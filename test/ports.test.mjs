@@ -0,0 +1,22 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {startTunnel, startHttpApp, exchange, GET} from './helpers.mjs'
+
+
+test('client gets a public port of its own from publicPorts', {timeout: 10 * 1000}, async () => {
+	const {app, port} = await startHttpApp('public')
+	const secret = 'shared secret'
+	const {server, client, close} = await startTunnel({proxyPort: 19380, tunnelPort: 19381, secret, publicPorts: '19382-19383'}, {appPort: port, secret, publicPort: 0})
+	const closed = new Promise(resolve => server.once('port-close', resolve))
+	try {
+		assert.ok([19382, 19383].includes(client.assignedPort))
+		assert.match(await exchange(client.assignedPort, GET), /public$/)
+		assert.equal(server.getStats().services[`port-${client.assignedPort}`].servedRequests, 1)
+		await client.close()
+		assert.equal(await closed, client.assignedPort)
+		assert.equal(await exchange(client.assignedPort, GET).catch(err => err.code), 'ECONNREFUSED')
+	} finally {
+		await close()
+		app.close()
+	}
+})
@@ -0,0 +1,35 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import net from 'net'
+import {createProxyServer} from '../index.mjs'
+import {verifySenderTunnel} from '../src/encryption.mjs'
+import {createLogger} from '../src/logger.mjs'
+import {exchange} from './helpers.mjs'
+
+
+// Tunnel of a client from before the hello: (legacy) secret, then nothing until the proxy sends a request.
+function connectLegacyTunnel(port, secret) {
+	return new Promise((resolve, reject) => {
+		const tunnel = net.connect(port, 'localhost', async () => {
+			if (secret)
+				await verifySenderTunnel(tunnel, {secret, legacyChallenge: true, challengeTimeout: 1000, logger: createLogger({log: false})}).catch(reject)
+			tunnel.once('data', chunk => tunnel.end(`HTTP/1.1 200 OK\r\nContent-Length: 6\r\nConnection: close\r\n\r\nlegacy`))
+			resolve(tunnel)
+		})
+	})
+}
+
+for (let secret of [undefined, 'old secret']) {
+	test(`proxy takes tunnels without hello as the default service${secret ? ' (legacyChallenge)' : ''}`, {timeout: 10 * 1000}, async () => {
+		const server = createProxyServer({proxyPort: 19200, tunnelPort: 19201, secret, legacyChallenge: !!secret, challengeTimeout: 200, log: false, closeTimeout: 100})
+		await server.ready
+		try {
+			await connectLegacyTunnel(19201, secret)
+			const response = await exchange(19200, 'GET / HTTP/1.1\r\nHost: app\r\n\r\n', 2000)
+			assert.match(response, /^HTTP\/1.1 200 OK/)
+			assert.match(response, /legacy$/)
+		} finally {
+			await server.close()
+		}
+	})
+}
@@ -0,0 +1,36 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import dgram from 'dgram'
+import {startTunnel} from './helpers.mjs'
+
+
+// Sends the datagram and resolves with the first one that comes back.
+function request(type, address, port, message) {
+	return new Promise((resolve, reject) => {
+		const socket = dgram.createSocket(type)
+		const timer = setTimeout(() => {
+			socket.close()
+			reject(new Error(`no answer from ${address}`))
+		}, 2000)
+		socket.once('message', answer => {
+			clearTimeout(timer)
+			socket.close()
+			resolve(answer.toString())
+		})
+		socket.send(message, port, address)
+	})
+}
+
+test('datagrams sent to udpPort over IPv4 and IPv6 reach the app and come back', {timeout: 10 * 1000}, async () => {
+	const app = dgram.createSocket('udp4')
+	app.on('message', (message, {address, port}) => app.send(`echo:${message}`, port, address))
+	await new Promise(resolve => app.bind(0, '127.0.0.1', resolve))
+	const {close} = await startTunnel({proxyPort: 19330, tunnelPort: 19331, udpPort: 19332}, {appHost: '127.0.0.1', appPort: app.address().port, protocol: 'udp'})
+	try {
+		assert.equal(await request('udp4', '127.0.0.1', 19332, 'four'), 'echo:four')
+		assert.equal(await request('udp6', '::1', 19332, 'six'), 'echo:six')
+	} finally {
+		await close()
+		app.close()
+	}
+})